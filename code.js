@@ -10,7 +10,391 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
 };
 const API_URL = 'https://meme-api.com/gimme/wholesomememes';
 const VENDOR_NAME_DATA_URL = 'https://raw.githubusercontent.com/amoghsrivastava/figmate/main/data/vendor_name_data.txt';
-let copiedInstanceData = null;
+// Corner radii and stroke weights - the uniform value comes before the per-side ones so both apply
+const GEOMETRY_PROPERTY_FIELDS = [
+    'cornerRadius', 'topLeftRadius', 'topRightRadius', 'bottomLeftRadius', 'bottomRightRadius', 'cornerSmoothing',
+    'strokeWeight', 'strokeTopWeight', 'strokeRightWeight', 'strokeBottomWeight', 'strokeLeftWeight', 'strokeAlign'
+];
+// Auto-layout padding, spacing and alignment
+const LAYOUT_PROPERTY_FIELDS = [
+    'paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom', 'itemSpacing', 'counterAxisSpacing',
+    'primaryAxisAlignItems', 'counterAxisAlignItems', 'counterAxisAlignContent'
+];
+const STYLE_BINDING_FIELDS = ['fillStyleId', 'strokeStyleId', 'textStyleId', 'effectStyleId'];
+// Single-value node fields that can be bound to variables (paint bindings travel inside the paints)
+const VARIABLE_BINDING_FIELDS = [
+    'width', 'height', 'characters', 'itemSpacing', 'counterAxisSpacing',
+    'paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom', 'visible', 'opacity',
+    'topLeftRadius', 'topRightRadius', 'bottomLeftRadius', 'bottomRightRadius',
+    'minWidth', 'maxWidth', 'minHeight', 'maxHeight',
+    'strokeWeight', 'strokeTopWeight', 'strokeRightWeight', 'strokeBottomWeight', 'strokeLeftWeight'
+];
+const OVERRIDE_SLOTS_STORAGE_KEY = 'figmate-override-slots';
+const SELECTED_SLOT_STORAGE_KEY = 'figmate-selected-override-slot';
+let overrideSlots = [];
+let selectedSlotId = null;
+function getSelectedSlot() {
+    return overrideSlots.find(s => s.id === selectedSlotId) || null;
+}
+// Resolve the payload of the currently selected slot
+function getSelectedSlotData() {
+    const slot = getSelectedSlot();
+    return slot ? slot.data : null;
+}
+// Every payload a slot pastes - one unless several instances were copied together
+function getSlotSources(slot) {
+    return slot.sources && slot.sources.length > 0 ? slot.sources : [slot.data];
+}
+function loadOverrideSlots() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const storedSlots = yield figma.clientStorage.getAsync(OVERRIDE_SLOTS_STORAGE_KEY);
+            overrideSlots = Array.isArray(storedSlots) ? storedSlots : [];
+            const storedSelection = yield figma.clientStorage.getAsync(SELECTED_SLOT_STORAGE_KEY);
+            selectedSlotId = overrideSlots.some(s => s.id === storedSelection) ? storedSelection : null;
+        }
+        catch (error) {
+            console.error('Error loading override slots:', error);
+            overrideSlots = [];
+            selectedSlotId = null;
+        }
+    });
+}
+function saveOverrideSlots() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            yield figma.clientStorage.setAsync(OVERRIDE_SLOTS_STORAGE_KEY, overrideSlots);
+            yield figma.clientStorage.setAsync(SELECTED_SLOT_STORAGE_KEY, selectedSlotId);
+        }
+        catch (error) {
+            console.error('Error saving override slots:', error);
+            figma.notify('Failed to save override slots');
+        }
+    });
+}
+// Store a payload under a name - copying again under an existing name overwrites that slot
+function storeOverrideSlot(name, data, sources) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const existing = overrideSlots.find(s => s.name === name);
+        if (existing) {
+            existing.data = data;
+            if (sources) {
+                existing.sources = sources;
+            }
+            else {
+                delete existing.sources;
+            }
+            selectedSlotId = existing.id;
+            yield saveOverrideSlots();
+            return existing;
+        }
+        const slot = {
+            id: `${data.timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            data
+        };
+        if (sources) {
+            slot.sources = sources;
+        }
+        overrideSlots.push(slot);
+        selectedSlotId = slot.id;
+        yield saveOverrideSlots();
+        return slot;
+    });
+}
+const LAYER_MAPPINGS_STORAGE_KEY = 'figmate-layer-mappings';
+let layerMappings = {};
+function getLayerMappingKey(sourceComponentId, targetComponentId) {
+    return `${sourceComponentId}->${targetComponentId}`;
+}
+function loadLayerMappings() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const storedMappings = yield figma.clientStorage.getAsync(LAYER_MAPPINGS_STORAGE_KEY);
+            layerMappings = storedMappings && typeof storedMappings === 'object' ? storedMappings : {};
+        }
+        catch (error) {
+            console.error('Error loading layer mappings:', error);
+            layerMappings = {};
+        }
+    });
+}
+function saveLayerMappings() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            yield figma.clientStorage.setAsync(LAYER_MAPPINGS_STORAGE_KEY, layerMappings);
+        }
+        catch (error) {
+            console.error('Error saving layer mappings:', error);
+            figma.notify('Failed to save layer mapping');
+        }
+    });
+}
+// 🔤 FONT SUBSTITUTIONS - Replacements for captured fonts that aren't available to the person pasting
+const FONT_SUBSTITUTIONS_STORAGE_KEY = 'figmate-font-substitutions';
+// Keyed like loadedFontsCache; remembered substitutions are persisted, the rest last for the session
+let fontSubstitutions = {};
+let rememberedFontSubstitutions = {};
+function loadFontSubstitutions() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const storedSubstitutions = yield figma.clientStorage.getAsync(FONT_SUBSTITUTIONS_STORAGE_KEY);
+            rememberedFontSubstitutions = storedSubstitutions && typeof storedSubstitutions === 'object' ? storedSubstitutions : {};
+        }
+        catch (error) {
+            console.error('Error loading font substitutions:', error);
+            rememberedFontSubstitutions = {};
+        }
+        fontSubstitutions = Object.assign({}, rememberedFontSubstitutions);
+    });
+}
+function saveFontSubstitutions() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            yield figma.clientStorage.setAsync(FONT_SUBSTITUTIONS_STORAGE_KEY, rememberedFontSubstitutions);
+        }
+        catch (error) {
+            console.error('Error saving font substitutions:', error);
+            figma.notify('Failed to save font substitutions');
+        }
+    });
+}
+// 📦 OVERRIDE EXPORT/IMPORT - Versioned JSON documents for moving payloads between files
+const OVERRIDE_DOCUMENT_SCHEMA = 'figmate.instance-overrides';
+// Version 2 adds `sources` for slots copied from several instances
+const OVERRIDE_DOCUMENT_VERSION = 2;
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+function isValidPaint(value) {
+    return isPlainObject(value) && typeof value.type === 'string';
+}
+function isValidAssetReference(value) {
+    return isPlainObject(value) && typeof value.id === 'string' && (value.key === undefined || typeof value.key === 'string');
+}
+function isValidFontName(value) {
+    return isPlainObject(value) && typeof value.family === 'string' && typeof value.style === 'string';
+}
+// Copy an override through the typed clone helpers so paints and fonts round-trip in a known shape
+function cloneOverrideForTransfer(override) {
+    const cloned = Object.assign(Object.assign({}, override), { hierarchyPath: override.hierarchyPath.slice() });
+    if (override.fontName)
+        cloned.fontName = cloneFontName(override.fontName);
+    if (override.fills)
+        cloned.fills = clonePaintArray(override.fills);
+    if (override.textSegments)
+        cloned.textSegments = cloneTextSegments(override.textSegments);
+    if (override.layerFills)
+        cloned.layerFills = clonePaintArray(override.layerFills);
+    if (override.layerStrokes)
+        cloned.layerStrokes = clonePaintArray(override.layerStrokes);
+    if (override.geometry)
+        cloned.geometry = Object.assign({}, override.geometry);
+    if (override.layout)
+        cloned.layout = Object.assign({}, override.layout);
+    if (override.effects)
+        cloned.effects = cloneEffectArray(override.effects);
+    if (override.variantProperties)
+        cloned.variantProperties = cloneVariantProperties(override.variantProperties);
+    if (override.componentProperties)
+        cloned.componentProperties = cloneComponentProperties(override.componentProperties);
+    if (override.swapComponent)
+        cloned.swapComponent = Object.assign({}, override.swapComponent);
+    if (override.styleBindings) {
+        cloned.styleBindings = {};
+        for (const field of STYLE_BINDING_FIELDS) {
+            const reference = override.styleBindings[field];
+            if (reference)
+                cloned.styleBindings[field] = Object.assign({}, reference);
+        }
+    }
+    if (override.variableBindings) {
+        cloned.variableBindings = {};
+        for (const field in override.variableBindings) {
+            cloned.variableBindings[field] = Object.assign({}, override.variableBindings[field]);
+        }
+    }
+    return cloned;
+}
+function clonePayloadForTransfer(data) {
+    return Object.assign(Object.assign({}, data), { variantProperties: cloneVariantProperties(data.variantProperties), componentProperties: cloneComponentProperties(data.componentProperties), overrides: data.overrides.map(cloneOverrideForTransfer) });
+}
+function createOverrideDocument(slot) {
+    const doc = {
+        schema: OVERRIDE_DOCUMENT_SCHEMA,
+        version: OVERRIDE_DOCUMENT_VERSION,
+        name: slot.name,
+        exportedAt: new Date().toISOString(),
+        data: clonePayloadForTransfer(slot.data)
+    };
+    const sources = getSlotSources(slot);
+    if (sources.length > 1) {
+        doc.sources = sources.map(clonePayloadForTransfer);
+    }
+    return doc;
+}
+// Returns a description of the first problem found, or null if the override is well-formed
+function validateOverride(override, index) {
+    const label = `Override #${index + 1}`;
+    if (!isPlainObject(override))
+        return `${label} is not an object`;
+    if (typeof override.nodeName !== 'string' || typeof override.nodeType !== 'string')
+        return `${label} is missing nodeName/nodeType`;
+    if (typeof override.uniqueSignature !== 'string')
+        return `${label} is missing uniqueSignature`;
+    if (!Array.isArray(override.hierarchyPath) || !override.hierarchyPath.every((part) => typeof part === 'string')) {
+        return `${label} has an invalid hierarchyPath`;
+    }
+    if (typeof override.siblingIndex !== 'number')
+        return `${label} has an invalid siblingIndex`;
+    if (override.componentNodeId !== undefined && typeof override.componentNodeId !== 'string')
+        return `${label} has an invalid componentNodeId`;
+    if (override.characters !== undefined && typeof override.characters !== 'string')
+        return `${label} has invalid characters`;
+    if (override.fontName !== undefined && !isValidFontName(override.fontName))
+        return `${label} has an invalid fontName`;
+    if (override.fontSize !== undefined && typeof override.fontSize !== 'number')
+        return `${label} has an invalid fontSize`;
+    if (override.opacity !== undefined && typeof override.opacity !== 'number')
+        return `${label} has an invalid opacity`;
+    if (override.visible !== undefined && typeof override.visible !== 'boolean')
+        return `${label} has an invalid visible flag`;
+    for (const key of ['fills', 'layerFills', 'layerStrokes']) {
+        const paints = override[key];
+        if (paints !== undefined && (!Array.isArray(paints) || !paints.every(isValidPaint))) {
+            return `${label} has invalid ${key}`;
+        }
+    }
+    for (const key of ['geometry', 'layout']) {
+        const values = override[key];
+        if (values !== undefined && (!isPlainObject(values) || !Object.keys(values).every(field => typeof values[field] === 'number' || typeof values[field] === 'string'))) {
+            return `${label} has invalid ${key}`;
+        }
+    }
+    if (override.effects !== undefined && (!Array.isArray(override.effects) || !override.effects.every(effect => isPlainObject(effect) && typeof effect.type === 'string'))) {
+        return `${label} has invalid effects`;
+    }
+    if (override.blendMode !== undefined && typeof override.blendMode !== 'string')
+        return `${label} has an invalid blendMode`;
+    if (override.textSegments !== undefined) {
+        const segments = override.textSegments;
+        if (!Array.isArray(segments) || !segments.every(segment => isPlainObject(segment) &&
+            typeof segment.start === 'number' && typeof segment.end === 'number' &&
+            isValidFontName(segment.fontName) && typeof segment.fontSize === 'number' &&
+            Array.isArray(segment.fills) && segment.fills.every(isValidPaint) &&
+            isPlainObject(segment.letterSpacing) && isPlainObject(segment.lineHeight))) {
+            return `${label} has invalid textSegments`;
+        }
+    }
+    if (override.variantProperties !== undefined && !isPlainObject(override.variantProperties))
+        return `${label} has invalid variantProperties`;
+    if (override.componentProperties !== undefined && !isPlainObject(override.componentProperties))
+        return `${label} has invalid componentProperties`;
+    if (override.swapComponent !== undefined && !isValidAssetReference(override.swapComponent))
+        return `${label} has an invalid swapComponent`;
+    for (const key of ['styleBindings', 'variableBindings']) {
+        const bindings = override[key];
+        if (bindings !== undefined && (!isPlainObject(bindings) || !Object.keys(bindings).every(field => isValidAssetReference(bindings[field])))) {
+            return `${label} has invalid ${key}`;
+        }
+    }
+    return null;
+}
+function validateOverrideDocument(doc) {
+    if (!isPlainObject(doc))
+        return 'File is not a JSON object';
+    if (doc.schema !== OVERRIDE_DOCUMENT_SCHEMA)
+        return 'File is not a figmate override export';
+    if (typeof doc.version !== 'number' || doc.version < 1)
+        return 'File has no schema version';
+    if (doc.version > OVERRIDE_DOCUMENT_VERSION) {
+        return `File uses schema version ${doc.version}, this version of figmate supports up to ${OVERRIDE_DOCUMENT_VERSION}`;
+    }
+    if (!isPlainObject(doc.data))
+        return 'File has no override data';
+    const dataError = validateOverridePayload(doc.data, 'File');
+    if (dataError)
+        return dataError;
+    if (doc.sources !== undefined) {
+        if (!Array.isArray(doc.sources) || doc.sources.length === 0)
+            return 'File has an invalid sources list';
+        for (let i = 0; i < doc.sources.length; i++) {
+            const source = doc.sources[i];
+            if (!isPlainObject(source))
+                return `Source #${i + 1} is not an object`;
+            const sourceError = validateOverridePayload(source, `Source #${i + 1}`);
+            if (sourceError)
+                return sourceError;
+        }
+    }
+    return null;
+}
+// `subject` names the payload in the message, e.g. "File" or "Source #2"
+function validateOverridePayload(data, subject) {
+    if (typeof data.sourceMainComponentId !== 'string')
+        return `${subject} is missing sourceMainComponentId`;
+    if (data.sourceComponentSetId !== null && typeof data.sourceComponentSetId !== 'string')
+        return `${subject} has an invalid sourceComponentSetId`;
+    if (typeof data.sourceComponentName !== 'string')
+        return `${subject} is missing sourceComponentName`;
+    if (!isPlainObject(data.variantProperties) || !isPlainObject(data.componentProperties))
+        return `${subject} has invalid variant or component properties`;
+    if (!Array.isArray(data.overrides))
+        return `${subject} has no overrides list`;
+    for (let i = 0; i < data.overrides.length; i++) {
+        const error = validateOverride(data.overrides[i], i);
+        if (error)
+            return subject === 'File' ? error : `${subject}: ${error}`;
+    }
+    return null;
+}
+// Resolve the source component in the current file, falling back to the published key.
+// Node IDs are only unique within one file, so a component found by ID must also carry the same key,
+// or the same name when the export has no key, to count as the source component.
+// Returns the payload re-pointed at the local node IDs, or an error describing what could not be resolved.
+function resolveImportedPayload(data) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        let mainComponent = null;
+        const nodeById = yield figma.getNodeByIdAsync(data.sourceMainComponentId);
+        const sameComponent = !!nodeById && nodeById.type === 'COMPONENT' && (data.sourceComponentKey
+            ? nodeById.key === data.sourceComponentKey
+            : nodeById.name === data.sourceComponentName);
+        if (sameComponent) {
+            mainComponent = nodeById;
+        }
+        else if (data.sourceComponentKey) {
+            try {
+                mainComponent = yield figma.importComponentByKeyAsync(data.sourceComponentKey);
+            }
+            catch (_err) {
+                mainComponent = null;
+            }
+        }
+        if (!mainComponent) {
+            return { error: `Component "${data.sourceComponentName}" (${data.sourceMainComponentId}) was not found in this file` };
+        }
+        const sameLayerIds = mainComponent.id === data.sourceMainComponentId;
+        const componentSet = ((_a = mainComponent.parent) === null || _a === void 0 ? void 0 : _a.type) === 'COMPONENT_SET' ? mainComponent.parent : null;
+        if (data.sourceComponentSetId && !componentSet) {
+            const setById = yield figma.getNodeByIdAsync(data.sourceComponentSetId);
+            if (!setById || setById.type !== 'COMPONENT_SET') {
+                return { error: `Component set for "${data.sourceComponentName}" (${data.sourceComponentSetId}) was not found in this file` };
+            }
+        }
+        return {
+            data: Object.assign(Object.assign({}, data), { sourceMainComponentId: mainComponent.id, sourceComponentSetId: componentSet ? componentSet.id : data.sourceComponentSetId, variantProperties: cloneVariantProperties(data.variantProperties), componentProperties: cloneComponentProperties(data.componentProperties), 
+                // Layer IDs only identify layers in the file they were copied in, so a component imported
+                // from a library under another ID matches by name and path
+                overrides: data.overrides.map(override => {
+                    const cloned = cloneOverrideForTransfer(override);
+                    if (!sameLayerIds)
+                        delete cloned.componentNodeId;
+                    return cloned;
+                }) })
+        };
+    });
+}
 // Performance optimization: Cache for hierarchy paths to avoid recalculation
 // Using WeakMap for automatic garbage collection when nodes are removed
 const hierarchyPathCache = new WeakMap();
@@ -45,6 +429,7 @@ const OVERRIDABLE_NODE_TYPES = new Set([
 ]);
 // Performance optimization: Custom deep compare for Paint arrays (faster than JSON.stringify)
 function paintsEqual(a, b) {
+    var _a, _b, _c, _d;
     if (!a && !b)
         return true;
     if (!a || !b)
@@ -64,6 +449,10 @@ function paintsEqual(a, b) {
                 paintA.opacity !== paintB.opacity) {
                 return false;
             }
+            // A different colour variable is an override even when it resolves to the same value
+            if (((_b = (_a = paintA.boundVariables) === null || _a === void 0 ? void 0 : _a.color) === null || _b === void 0 ? void 0 : _b.id) !== ((_d = (_c = paintB.boundVariables) === null || _c === void 0 ? void 0 : _c.color) === null || _d === void 0 ? void 0 : _d.id)) {
+                return false;
+            }
         }
         else if (paintA.type === 'IMAGE' && paintB.type === 'IMAGE') {
             if (paintA.imageHash !== paintB.imageHash ||
@@ -75,6 +464,80 @@ function paintsEqual(a, b) {
     }
     return true;
 }
+// Same approach as paintsEqual, for drop/inner shadows and blurs
+function effectsEqual(a, b) {
+    if (!a && !b)
+        return true;
+    if (!a || !b)
+        return false;
+    if (a.length !== b.length)
+        return false;
+    for (let i = 0; i < a.length; i++) {
+        const effectA = a[i];
+        const effectB = b[i];
+        if (effectA.type !== effectB.type || effectA.visible !== effectB.visible || effectA.radius !== effectB.radius)
+            return false;
+        if ((effectA.type === 'DROP_SHADOW' || effectA.type === 'INNER_SHADOW') && (effectB.type === 'DROP_SHADOW' || effectB.type === 'INNER_SHADOW')) {
+            if (effectA.color.r !== effectB.color.r ||
+                effectA.color.g !== effectB.color.g ||
+                effectA.color.b !== effectB.color.b ||
+                effectA.color.a !== effectB.color.a ||
+                effectA.offset.x !== effectB.offset.x ||
+                effectA.offset.y !== effectB.offset.y ||
+                effectA.spread !== effectB.spread ||
+                effectA.blendMode !== effectB.blendMode) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+// Read the plain (non-mixed) values of the given fields from a node
+function readNodeProperties(node, fields) {
+    const values = {};
+    for (const field of fields) {
+        if (!(field in node))
+            continue;
+        const value = node[field];
+        if (typeof value === 'number' || typeof value === 'string') {
+            values[field] = value;
+        }
+    }
+    return values;
+}
+// Returns only the fields whose value on the instance layer differs from the main component
+function diffNodeProperties(instanceNode, defaultNode, fields) {
+    const instanceValues = readNodeProperties(instanceNode, fields);
+    const defaultValues = readNodeProperties(defaultNode, fields);
+    if (propertiesEqual(instanceValues, defaultValues))
+        return null;
+    const changed = {};
+    let hasChanges = false;
+    for (const field in instanceValues) {
+        if (instanceValues[field] !== defaultValues[field]) {
+            changed[field] = instanceValues[field];
+            hasChanges = true;
+        }
+    }
+    return hasChanges ? changed : null;
+}
+// Set each field on the target, reporting fields it lacks or rejects (e.g. spacing without auto layout)
+function applyNodeProperties(node, values) {
+    const issues = [];
+    for (const field in values) {
+        if (!(field in node)) {
+            issues.push(createPasteIssue(field, 'property-not-found'));
+            continue;
+        }
+        try {
+            node[field] = values[field];
+        }
+        catch (err) {
+            issues.push(createPasteIssue(field, 'set-failed', err));
+        }
+    }
+    return issues;
+}
 // Performance optimization: Custom deep compare for FontName objects
 function fontNamesEqual(a, b) {
     if (!a && !b)
@@ -103,12 +566,18 @@ function propertiesEqual(a, b) {
 }
 // Performance optimization: Custom typed cloning functions (much faster than JSON.stringify/parse)
 function clonePaint(paint) {
+    var _a;
     if (paint.type === 'SOLID') {
-        return {
+        const solid = {
             type: 'SOLID',
             color: { r: paint.color.r, g: paint.color.g, b: paint.color.b },
             opacity: paint.opacity
         };
+        // Keep the colour variable binding so the paint is pasted as a reference
+        if ((_a = paint.boundVariables) === null || _a === void 0 ? void 0 : _a.color) {
+            return Object.assign(Object.assign({}, solid), { boundVariables: { color: { type: 'VARIABLE_ALIAS', id: paint.boundVariables.color.id } } });
+        }
+        return solid;
     }
     else if (paint.type === 'IMAGE') {
         return {
@@ -137,6 +606,17 @@ function clonePaintArray(paints) {
         return undefined;
     return paints.map(clonePaint);
 }
+function cloneEffect(effect) {
+    if (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW') {
+        return Object.assign(Object.assign({}, effect), { color: { r: effect.color.r, g: effect.color.g, b: effect.color.b, a: effect.color.a }, offset: { x: effect.offset.x, y: effect.offset.y } });
+    }
+    return Object.assign({}, effect);
+}
+function cloneEffectArray(effects) {
+    if (!effects)
+        return undefined;
+    return effects.map(cloneEffect);
+}
 function cloneFontName(fontName) {
     return {
         family: fontName.family,
@@ -164,6 +644,238 @@ function cloneComponentProperties(props) {
     }
     return cloned;
 }
+// 🔗 STYLE AND VARIABLE REFERENCES - Capture bindings on copy, resolve and reapply them on paste
+function captureStyleBindings(instanceNode, defaultNode) {
+    const bindings = {};
+    let hasBinding = false;
+    for (const field of STYLE_BINDING_FIELDS) {
+        if (!(field in instanceNode) || !(field in defaultNode))
+            continue;
+        const instanceStyleId = instanceNode[field];
+        const defaultStyleId = defaultNode[field];
+        // Mixed text styles can't be applied as a single reference
+        if (typeof instanceStyleId !== 'string' || instanceStyleId === '' || instanceStyleId === defaultStyleId)
+            continue;
+        bindings[field] = { id: instanceStyleId };
+        hasBinding = true;
+    }
+    return hasBinding ? bindings : null;
+}
+function captureVariableBindings(instanceNode, defaultNode) {
+    var _a;
+    const instanceBindings = instanceNode.boundVariables;
+    if (!instanceBindings)
+        return null;
+    const defaultBindings = defaultNode.boundVariables || {};
+    const bindings = {};
+    let hasBinding = false;
+    for (const field of VARIABLE_BINDING_FIELDS) {
+        const alias = instanceBindings[field];
+        if (!alias || alias.id === ((_a = defaultBindings[field]) === null || _a === void 0 ? void 0 : _a.id))
+            continue;
+        bindings[field] = { id: alias.id };
+        hasBinding = true;
+    }
+    return hasBinding ? bindings : null;
+}
+// Look up published keys so references can still be resolved when a payload is imported into another file
+function attachReferenceKeys(overrides) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        for (const override of overrides) {
+            for (const field of STYLE_BINDING_FIELDS) {
+                const reference = (_a = override.styleBindings) === null || _a === void 0 ? void 0 : _a[field];
+                if (!reference)
+                    continue;
+                try {
+                    const style = yield figma.getStyleByIdAsync(reference.id);
+                    if (style && style.key)
+                        reference.key = style.key;
+                }
+                catch (_err) {
+                    // Local-only style, resolved by ID
+                }
+            }
+            for (const field in override.variableBindings || {}) {
+                const reference = override.variableBindings[field];
+                try {
+                    const variable = yield figma.variables.getVariableByIdAsync(reference.id);
+                    if (variable && variable.key)
+                        reference.key = variable.key;
+                }
+                catch (_err) {
+                    // Local-only variable, resolved by ID
+                }
+            }
+        }
+    });
+}
+function resolveStyleReference(reference) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const style = yield figma.getStyleByIdAsync(reference.id);
+        if (style)
+            return style;
+        if (!reference.key)
+            return null;
+        try {
+            return yield figma.importStyleByKeyAsync(reference.key);
+        }
+        catch (_err) {
+            return null;
+        }
+    });
+}
+function resolveVariableReference(reference) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const variable = yield figma.variables.getVariableByIdAsync(reference.id);
+        if (variable)
+            return variable;
+        if (!reference.key)
+            return null;
+        try {
+            return yield figma.variables.importVariableByKeyAsync(reference.key);
+        }
+        catch (_err) {
+            return null;
+        }
+    });
+}
+function resolveComponentReference(reference) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const node = yield figma.getNodeByIdAsync(reference.id);
+        if (node && node.type === 'COMPONENT')
+            return node;
+        if (!reference.key)
+            return null;
+        try {
+            return yield figma.importComponentByKeyAsync(reference.key);
+        }
+        catch (_err) {
+            return null;
+        }
+    });
+}
+// Link a target layer to the copied styles. Text styles need their font loaded before they can be applied.
+function applyStyleBindings(targetNode, bindings) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const issues = [];
+        for (const field of STYLE_BINDING_FIELDS) {
+            const reference = bindings[field];
+            if (!reference)
+                continue;
+            if (!(field in targetNode)) {
+                issues.push(createPasteIssue(field, 'property-not-found'));
+                continue;
+            }
+            const style = yield resolveStyleReference(reference);
+            if (!style) {
+                issues.push(createPasteIssue(field, 'unavailable', 'Style is not available in this file'));
+                continue;
+            }
+            if (field === 'fillStyleId')
+                yield targetNode.setFillStyleIdAsync(style.id);
+            if (field === 'strokeStyleId')
+                yield targetNode.setStrokeStyleIdAsync(style.id);
+            if (field === 'effectStyleId')
+                yield targetNode.setEffectStyleIdAsync(style.id);
+            if (field === 'textStyleId' && style.type !== 'TEXT') {
+                issues.push(createPasteIssue(field, 'unavailable', `${style.name} is not a text style`));
+                continue;
+            }
+            if (field === 'textStyleId') {
+                const fontKey = JSON.stringify(cloneFontName(style.fontName));
+                if (!loadedFontsCache.has(fontKey)) {
+                    yield figma.loadFontAsync(style.fontName);
+                    loadedFontsCache.add(fontKey);
+                }
+                yield targetNode.setTextStyleIdAsync(style.id);
+            }
+        }
+        return issues;
+    });
+}
+function applyVariableBindings(targetNode, bindings) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const issues = [];
+        for (const field in bindings) {
+            if (VARIABLE_BINDING_FIELDS.indexOf(field) === -1 || !(field in targetNode)) {
+                issues.push(createPasteIssue(field, 'property-not-found'));
+                continue;
+            }
+            const variable = yield resolveVariableReference(bindings[field]);
+            if (variable) {
+                targetNode.setBoundVariable(field, variable);
+            }
+            else {
+                issues.push(createPasteIssue(field, 'unavailable', 'Variable is not available in this file'));
+            }
+        }
+        return issues;
+    });
+}
+// 🔤 STYLED TEXT SEGMENTS - Capture and compare mixed formatting within a text layer
+function captureTextSegments(textNode) {
+    const segments = textNode.getStyledTextSegments([
+        'fontName', 'fontSize', 'fills', 'letterSpacing', 'lineHeight', 'textDecoration', 'textCase'
+    ]);
+    return segments.map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        fontName: cloneFontName(segment.fontName),
+        fontSize: segment.fontSize,
+        fills: clonePaintArray(segment.fills) || [],
+        letterSpacing: { value: segment.letterSpacing.value, unit: segment.letterSpacing.unit },
+        lineHeight: segment.lineHeight.unit === 'AUTO'
+            ? { unit: 'AUTO' }
+            : { value: segment.lineHeight.value, unit: segment.lineHeight.unit },
+        textDecoration: segment.textDecoration,
+        textCase: segment.textCase
+    }));
+}
+function cloneTextSegments(segments) {
+    return segments.map(segment => (Object.assign(Object.assign({}, segment), { fontName: cloneFontName(segment.fontName), fills: clonePaintArray(segment.fills) || [], letterSpacing: Object.assign({}, segment.letterSpacing), lineHeight: Object.assign({}, segment.lineHeight) })));
+}
+// Performance optimization: Field-by-field comparison of styled ranges
+function textSegmentsEqual(a, b) {
+    if (!a && !b)
+        return true;
+    if (!a || !b)
+        return false;
+    if (a.length !== b.length)
+        return false;
+    for (let i = 0; i < a.length; i++) {
+        const segA = a[i];
+        const segB = b[i];
+        if (segA.start !== segB.start || segA.end !== segB.end)
+            return false;
+        if (!fontNamesEqual(segA.fontName, segB.fontName) || segA.fontSize !== segB.fontSize)
+            return false;
+        if (!paintsEqual(segA.fills, segB.fills))
+            return false;
+        if (!propertiesEqual(segA.letterSpacing, segB.letterSpacing) || !propertiesEqual(segA.lineHeight, segB.lineHeight))
+            return false;
+        if (segA.textDecoration !== segB.textDecoration || segA.textCase !== segB.textCase)
+            return false;
+    }
+    return true;
+}
+// Reapply captured styling range by range; ranges past the end of the pasted text are skipped
+function applyTextSegments(textNode, segments) {
+    const length = textNode.characters.length;
+    for (const segment of segments) {
+        const start = segment.start;
+        const end = Math.min(segment.end, length);
+        if (start >= end)
+            continue;
+        textNode.setRangeFontName(start, end, segment.fontName);
+        textNode.setRangeFontSize(start, end, segment.fontSize);
+        textNode.setRangeFills(start, end, clonePaintArray(segment.fills));
+        textNode.setRangeLetterSpacing(start, end, segment.letterSpacing);
+        textNode.setRangeLineHeight(start, end, segment.lineHeight);
+        textNode.setRangeTextDecoration(start, end, segment.textDecoration);
+        textNode.setRangeTextCase(start, end, segment.textCase);
+    }
+}
 // Performance optimization: Batch node collection with caching
 function collectAllNodesWithCache(root) {
     if (nodeCollectionCache.has(root)) {
@@ -181,520 +893,2814 @@ function clearAllCaches() {
     // WeakMaps automatically handle garbage collection, but we can clear the font cache
     loadedFontsCache.clear();
 }
-// Read the content of the text file from Firebase Storage
-function readRemoteTextFile(url) {
-    return __awaiter(this, void 0, void 0, function* () {
-        try {
-            const response = yield fetch(url);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch data: ${response.statusText}`);
-            }
-            const text = yield response.text();
-            return text.split('\n').filter((line) => line.trim() !== '');
-        }
-        catch (error) {
-            console.error('Error reading text file:', error);
-            figma.notify('Failed to fetch text file data');
-            return [];
-        }
-    });
+// 🔍 OVERRIDE DETECTION - Compare an instance with its main component. Shared by copy and the override audit.
+// Only reads what the Plugin API exposes on nodes, so it also runs against the in-memory node model in test/.
+// Signature of a layer INTERNAL TO ITS INSTANCE: type, name, ancestor names and index among same-named siblings
+function createUniqueSignature(node, hierarchyPath, siblingIndex) {
+    return `${node.type}:${node.name}:${hierarchyPath.join('/')}:${siblingIndex}`;
 }
-// This shows the HTML page in "ui.html".
-figma.showUI(__html__, { themeColors: true, width: 310, height: 600 });
-// Listen for selection changes to update component button states
-figma.on('selectionchange', () => __awaiter(void 0, void 0, void 0, function* () {
-    yield updateComponentButtonStates();
-}));
-// Initialize button states
-updateComponentButtonStates();
-// 🔄 Button state management
-function updateComponentButtonStates() {
-    return __awaiter(this, void 0, void 0, function* () {
-        const selection = figma.currentPage.selection;
-        // Copy: exactly one instance selected
-        const canCopy = selection.length === 1 && selection[0].type === 'INSTANCE';
-        // Paste: data exists and instances selected
-        const canPaste = !!copiedInstanceData &&
-            selection.length > 0 &&
-            selection.every(node => node.type === 'INSTANCE');
-        figma.ui.postMessage({
-            type: 'update-component-buttons',
-            canCopy,
-            canPaste
-        });
-    });
+// Position among siblings with the same name and type, so duplicate layer names stay distinct
+function getSiblingIndex(node) {
+    if (!node.parent || !('children' in node.parent))
+        return 0;
+    const siblings = node.parent.children;
+    const matchingSiblings = siblings.filter(child => child.name === node.name && child.type === node.type);
+    return matchingSiblings.indexOf(node);
 }
-// RenamePro functions for advanced case conversion
-function detectCaseStyle(text) {
-    if (/^[a-z][a-zA-Z0-9]*$/.test(text))
-        return "camelCase";
-    if (/^[A-Z][a-zA-Z0-9]*$/.test(text))
-        return "PascalCase";
-    if (/^[a-z0-9_]+$/.test(text))
-        return "snake_case";
-    if (/^[a-z0-9\-]+$/.test(text))
-        return "kebab-case";
-    if (/^[A-Z][A-Za-z0-9]*(-[A-Z][A-Za-z0-9]*)*$/.test(text))
-        return "Train-Case";
-    if (/^[A-Z0-9_]+$/.test(text))
-        return "MACRO_CASE";
-    return "unknown";
-}
-function normalizeText(caseStyle, text) {
-    switch (caseStyle) {
-        case "camelCase":
-            return text.replace(/([a-z0-9])([A-Z])/g, "$1 $2").toLowerCase();
-        case "PascalCase":
-            return text.replace(/([a-z0-9])([A-Z])/g, "$1 $2").toLowerCase();
-        case "snake_case":
-            return text.replace(/_/g, " ").toLowerCase();
-        case "kebab-case":
-            return text.replace(/-/g, " ").toLowerCase();
-        case "Train-Case":
-            return text.replace(/-/g, " ").toLowerCase();
-        case "MACRO_CASE":
-            return text.replace(/_/g, " ").toLowerCase();
-        default:
-            return text.toLowerCase();
-    }
+// Stable identity of a layer within its component: instance sublayer IDs read "I<instance id>;<component layer id>",
+// with further ";"-separated IDs for layers inside nested instances. Survives renames, reordering and duplicate names.
+// Returns '' for the root, and null for layers not derived from the root's component.
+function getComponentNodeId(node, root) {
+    if (node === root)
+        return '';
+    if (root.type === 'COMPONENT')
+        return node.id.replace(/^I/, '');
+    const prefix = `${root.id.charAt(0) === 'I' ? root.id : `I${root.id}`};`;
+    return node.id.indexOf(prefix) === 0 ? node.id.slice(prefix.length) : null;
 }
-function applyCaseStyle(caseStyle, text) {
-    switch (caseStyle) {
-        case "camelCase":
-            return text.replace(/(?:^\w|[A-Z]|\b\w)/g, (word, index) => index === 0 ? word.toLowerCase() : word.toUpperCase()).replace(/\s+/g, '');
-        case "PascalCase":
-            return text.replace(/\w+/g, (word) => word[0].toUpperCase() + word.slice(1)).replace(/\s+/g, '');
-        case "snake_case":
-            return text.replace(/\s+/g, '_').toLowerCase();
-        case "kebab-case":
-            return text.replace(/\s+/g, '-').toLowerCase();
-        case "Train-Case":
-            return text.replace(/\b\w/g, (char) => char.toUpperCase()).replace(/\s+/g, '-');
-        case "MACRO_CASE":
-            return text.replace(/\s+/g, '_').toUpperCase();
-        case "Title Case":
-            return text.replace(/\b\w/g, (char) => char.toUpperCase());
-        case "Sentence case":
-            return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
-        case "lower case":
-            return text.toLowerCase();
-        case "UPPER CASE":
-            return text.toUpperCase();
-        default:
-            return text;
-    }
+// The main-component layer an instance layer was created from: by layer identity, then by name and path
+function findComponentCounterpart(node, instance, mainComponent, mainComponentIndex) {
+    if (node === instance)
+        return mainComponent;
+    const componentNodeId = getComponentNodeId(node, instance);
+    const identityMatch = componentNodeId ? mainComponentIndex.identityMap.get(componentNodeId) : undefined;
+    return identityMatch || mainComponentIndex.signatureMap.get(createTargetSignature(node, instance)) || null;
 }
-// Functions to handle messages from the UI
-figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
-    var _a;
-    // Advanced rename functionality with match/replace support
-    function applyRename(originalText, matchPattern, renameTo, caseStyle) {
-        let newText = originalText;
-        if (!matchPattern || matchPattern.trim() === '') {
-            if (renameTo && renameTo.trim() !== '') {
-                newText = renameTo;
-            }
-        }
-        else {
-            if (originalText.includes(matchPattern)) {
-                newText = originalText.replace(new RegExp(matchPattern, 'g'), renameTo);
+// Resolve the main component of every nested instance up front, since the comparison itself is synchronous
+function resolveNestedMainComponents(roots) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const nestedMainComponents = new Map();
+        const nestedInstanceNodes = roots
+            .reduce((nodes, root) => nodes.concat(collectAllNodesWithCache(root)), [])
+            .filter(node => node.type === 'INSTANCE');
+        yield Promise.all(nestedInstanceNodes.map((node) => __awaiter(this, void 0, void 0, function* () {
+            try {
+                nestedMainComponents.set(node.id, yield node.getMainComponentAsync());
             }
-            else {
-                newText = originalText;
+            catch (err) {
+                nestedMainComponents.set(node.id, null);
             }
+        })));
+        return nestedMainComponents;
+    });
+}
+// Compare one instance layer with its counterpart in the main component; null when nothing differs.
+// Nested main components are resolved beforehand (resolveNestedMainComponents) as this runs synchronously.
+function detectNodeOverrides(instanceNode, defaultNode, instance, nestedMainComponents) {
+    const overrideData = {};
+    let hasOverride = false;
+    try {
+        // TEXT OVERRIDES
+        if (instanceNode.type === 'TEXT' && defaultNode.type === 'TEXT') {
+            const instText = instanceNode;
+            const defText = defaultNode;
+            if (instText.characters !== defText.characters) {
+                overrideData.characters = instText.characters;
+                hasOverride = true;
+            }
+            // Font override detection - use efficient comparison
+            if (instText.fontName !== figma.mixed && defText.fontName !== figma.mixed && !fontNamesEqual(instText.fontName, defText.fontName)) {
+                try {
+                    overrideData.fontName = cloneFontName(instText.fontName);
+                    hasOverride = true;
+                }
+                catch (err) { }
+            }
+            if (typeof instText.fontSize === 'number' && typeof defText.fontSize === 'number' && instText.fontSize !== defText.fontSize) {
+                overrideData.fontSize = instText.fontSize;
+                hasOverride = true;
+            }
+            if (instText.fills !== figma.mixed && defText.fills !== figma.mixed && !paintsEqual(instText.fills, defText.fills)) {
+                try {
+                    overrideData.fills = clonePaintArray(instText.fills);
+                    hasOverride = true;
+                }
+                catch (err) { }
+            }
+            // Mixed styling is captured as ranges, since fontName/fontSize/fills are figma.mixed
+            try {
+                const instSegments = captureTextSegments(instText);
+                if (instSegments.length > 1 && !textSegmentsEqual(instSegments, captureTextSegments(defText))) {
+                    overrideData.textSegments = instSegments;
+                    hasOverride = true;
+                }
+            }
+            catch (err) {
+                // Skip layers whose styled segments cannot be read
+            }
+        }
+        // VISUAL OVERRIDES
+        if ('opacity' in instanceNode && 'opacity' in defaultNode) {
+            if (instanceNode.opacity !== defaultNode.opacity) {
+                overrideData.opacity = instanceNode.opacity;
+                hasOverride = true;
+            }
+        }
+        if ('visible' in instanceNode && 'visible' in defaultNode) {
+            if (instanceNode.visible !== defaultNode.visible) {
+                overrideData.visible = instanceNode.visible;
+                hasOverride = true;
+            }
+        }
+        // FILL OVERRIDES (for shapes, not text)
+        if (('fills' in instanceNode && 'fills' in defaultNode) &&
+            (instanceNode.type === 'VECTOR' || instanceNode.type === 'BOOLEAN_OPERATION' || instanceNode.type === 'RECTANGLE' || instanceNode.type === 'ELLIPSE' || instanceNode.type === 'POLYGON' || instanceNode.type === 'STAR' || instanceNode.type === 'LINE' || instanceNode.type === 'FRAME' || instanceNode.type === 'COMPONENT' || instanceNode.type === 'INSTANCE')) {
+            const instanceFills = instanceNode.fills;
+            const defaultFills = defaultNode.fills;
+            if (!paintsEqual(instanceFills, defaultFills)) {
+                try {
+                    overrideData.layerFills = clonePaintArray(instanceFills);
+                    hasOverride = true;
+                }
+                catch (err) { }
+            }
+        }
+        // STROKE OVERRIDES
+        if ('strokes' in instanceNode && 'strokes' in defaultNode) {
+            const instanceStrokes = instanceNode.strokes;
+            const defaultStrokes = defaultNode.strokes;
+            if (!paintsEqual(instanceStrokes, defaultStrokes)) {
+                try {
+                    overrideData.layerStrokes = clonePaintArray(instanceStrokes);
+                    hasOverride = true;
+                }
+                catch (err) { }
+            }
+        }
+        // GEOMETRY AND LAYOUT OVERRIDES
+        const geometry = diffNodeProperties(instanceNode, defaultNode, GEOMETRY_PROPERTY_FIELDS);
+        if (geometry) {
+            overrideData.geometry = geometry;
+            hasOverride = true;
         }
-        newText = newText.replace(/\$&/g, originalText);
-        if (caseStyle && caseStyle !== 'Sentence case') {
-            const normalizedText = normalizeText(detectCaseStyle(newText), newText);
-            newText = applyCaseStyle(caseStyle, normalizedText);
+        const layout = diffNodeProperties(instanceNode, defaultNode, LAYOUT_PROPERTY_FIELDS);
+        if (layout) {
+            overrideData.layout = layout;
+            hasOverride = true;
+        }
+        // EFFECT AND BLEND MODE OVERRIDES
+        if ('effects' in instanceNode && 'effects' in defaultNode && !effectsEqual(instanceNode.effects, defaultNode.effects)) {
+            overrideData.effects = cloneEffectArray(instanceNode.effects);
+            hasOverride = true;
+        }
+        if ('blendMode' in instanceNode && 'blendMode' in defaultNode && instanceNode.blendMode !== defaultNode.blendMode) {
+            overrideData.blendMode = instanceNode.blendMode;
+            hasOverride = true;
+        }
+        // INSTANCE OVERRIDES (nested components)
+        if (instanceNode.type === 'INSTANCE' && defaultNode.type === 'INSTANCE') {
+            const instNode = instanceNode;
+            const defNode = defaultNode;
+            // Variant properties override
+            if (!propertiesEqual(instNode.variantProperties || {}, defNode.variantProperties || {})) {
+                overrideData.variantProperties = cloneVariantProperties(instNode.variantProperties || {});
+                hasOverride = true;
+            }
+            // Component properties override
+            if (!propertiesEqual(instNode.componentProperties || {}, defNode.componentProperties || {})) {
+                try {
+                    overrideData.componentProperties = cloneComponentProperties(instNode.componentProperties || {});
+                    hasOverride = true;
+                }
+                catch (err) { }
+            }
+            // Instance swap: the nested instance now uses a different main component
+            const swappedComponent = nestedMainComponents.get(instNode.id);
+            const defaultComponent = nestedMainComponents.get(defNode.id);
+            if (instNode !== instance && swappedComponent && defaultComponent && swappedComponent.id !== defaultComponent.id) {
+                overrideData.swapComponent = { id: swappedComponent.id, key: swappedComponent.key, name: swappedComponent.name };
+                hasOverride = true;
+            }
+        }
+        // STYLE AND VARIABLE BINDINGS
+        const styleBindings = captureStyleBindings(instanceNode, defaultNode);
+        if (styleBindings) {
+            overrideData.styleBindings = styleBindings;
+            hasOverride = true;
+        }
+        const variableBindings = captureVariableBindings(instanceNode, defaultNode);
+        if (variableBindings) {
+            overrideData.variableBindings = variableBindings;
+            hasOverride = true;
         }
-        return newText;
     }
-    // 🎯 COPY INSTANCE DATA - Override detection system
-    if (msg.type === 'copy-instance-data') {
-        const selection = figma.currentPage.selection;
-        if (selection.length !== 1 || selection[0].type !== 'INSTANCE') {
-            figma.notify('Please select exactly one component instance');
-            yield updateComponentButtonStates();
-            return;
+    catch (err) {
+        // Skip nodes with comparison errors
+    }
+    return hasOverride ? overrideData : null;
+}
+// 🔄 COMPREHENSIVE FALLBACK: Capture current state when comparison fails
+// Layers with no counterpart in the main component (e.g. inside a swapped instance) keep their current values
+function captureFallbackOverride(node, nestedMainComponents) {
+    const fallbackOverrideData = {};
+    let hasFallbackData = false;
+    // FALLBACK FOR NESTED INSTANCES
+    if (node.type === 'INSTANCE') {
+        const instNode = node;
+        // Capture variant properties if they exist
+        if (instNode.variantProperties && Object.keys(instNode.variantProperties).length > 0) {
+            fallbackOverrideData.variantProperties = {};
+            for (const key in instNode.variantProperties) {
+                fallbackOverrideData.variantProperties[key] = String(instNode.variantProperties[key]);
+            }
+            hasFallbackData = true;
         }
-        // Send immediate feedback that operation has started
-        figma.ui.postMessage({
-            type: 'operation-started',
-            operation: 'copy'
-        });
-        // Small delay to ensure UI updates are processed
-        yield new Promise(resolve => setTimeout(resolve, 10));
-        const instance = selection[0];
+        // Capture component properties if they exist
+        if (instNode.componentProperties && Object.keys(instNode.componentProperties).length > 0) {
+            try {
+                fallbackOverrideData.componentProperties = JSON.parse(JSON.stringify(instNode.componentProperties));
+                hasFallbackData = true;
+            }
+            catch (err) {
+                // Skip non-serializable component properties
+            }
+        }
+        // Capture the current main component in case this layer was swapped
+        const currentComponent = nestedMainComponents.get(instNode.id);
+        if (currentComponent) {
+            fallbackOverrideData.swapComponent = { id: currentComponent.id, key: currentComponent.key, name: currentComponent.name };
+            hasFallbackData = true;
+        }
+    }
+    // FALLBACK FOR TEXT NODES
+    if (node.type === 'TEXT') {
+        const textNode = node;
         try {
-            // Get main component for comparison
-            const mainComponent = yield instance.getMainComponentAsync();
-            if (!mainComponent) {
-                figma.notify('Selected instance has no main component');
-                yield updateComponentButtonStates();
-                return;
+            // Capture text content (most common override)
+            if (textNode.characters && textNode.characters.trim() !== '') {
+                fallbackOverrideData.characters = textNode.characters;
+                hasFallbackData = true;
+            }
+            // Capture font properties if different from default
+            if (textNode.fontName && textNode.fontName !== figma.mixed) {
+                try {
+                    fallbackOverrideData.fontName = cloneFontName(textNode.fontName);
+                    hasFallbackData = true;
+                }
+                catch (err) { }
+            }
+            if (typeof textNode.fontSize === 'number') {
+                fallbackOverrideData.fontSize = textNode.fontSize;
+                hasFallbackData = true;
+            }
+            if (textNode.fills && textNode.fills !== figma.mixed) {
+                try {
+                    fallbackOverrideData.fills = clonePaintArray(textNode.fills);
+                    hasFallbackData = true;
+                }
+                catch (err) { }
+            }
+            // Capture styled ranges for layers with mixed formatting
+            const segments = captureTextSegments(textNode);
+            if (segments.length > 1) {
+                fallbackOverrideData.textSegments = segments;
+                hasFallbackData = true;
+            }
+        }
+        catch (err) {
+            // Skip text capture errors
+        }
+    }
+    // FALLBACK FOR VISUAL PROPERTIES
+    if ('opacity' in node && node.opacity !== 1) {
+        fallbackOverrideData.opacity = node.opacity;
+        hasFallbackData = true;
+    }
+    if ('visible' in node && !node.visible) {
+        fallbackOverrideData.visible = node.visible;
+        hasFallbackData = true;
+    }
+    // FALLBACK FOR SHAPE FILLS (for node types that can have fills)
+    if ('fills' in node &&
+        (node.type === 'VECTOR' || node.type === 'BOOLEAN_OPERATION' || node.type === 'RECTANGLE' || node.type === 'ELLIPSE' || node.type === 'POLYGON' || node.type === 'STAR' || node.type === 'LINE' || node.type === 'FRAME' || node.type === 'COMPONENT' || node.type === 'INSTANCE') &&
+        node.fills) {
+        try {
+            const fills = node.fills;
+            if (fills && fills.length > 0) {
+                fallbackOverrideData.layerFills = clonePaintArray(fills);
+                hasFallbackData = true;
             }
-            // Get component set for cross-variant compatibility
-            const componentSet = ((_a = mainComponent.parent) === null || _a === void 0 ? void 0 : _a.type) === 'COMPONENT_SET' ? mainComponent.parent : null;
-            // Extract variant and component properties  
-            const variantProperties = {};
-            for (const key in instance.variantProperties || {}) {
-                variantProperties[key] = String(instance.variantProperties[key]);
+        }
+        catch (err) {
+            // Skip fallback fill capture errors
+        }
+    }
+    // FALLBACK FOR STROKES
+    if ('strokes' in node && node.strokes) {
+        try {
+            const strokes = node.strokes;
+            if (strokes && strokes.length > 0) {
+                fallbackOverrideData.layerStrokes = clonePaintArray(strokes);
+                hasFallbackData = true;
             }
-            let componentProperties = {};
+        }
+        catch (err) { }
+    }
+    // FALLBACK FOR EFFECTS AND BLEND MODE
+    if ('effects' in node && node.effects.length > 0) {
+        fallbackOverrideData.effects = cloneEffectArray(node.effects);
+        hasFallbackData = true;
+    }
+    if ('blendMode' in node && node.blendMode !== 'PASS_THROUGH' && node.blendMode !== 'NORMAL') {
+        fallbackOverrideData.blendMode = node.blendMode;
+        hasFallbackData = true;
+    }
+    return hasFallbackData ? fallbackOverrideData : null;
+}
+// Layers with no counterpart in the main component have their current values captured instead (fallbackNodeIds)
+function detectInstanceOverrides(instance, mainComponent, componentProperties) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const overrides = [];
+        const fallbackNodeIds = new Set(); // Layers captured as-is, with no counterpart to compare against
+        const nestedMainComponents = yield resolveNestedMainComponents([instance, mainComponent]);
+        const mainComponentIndex = buildTargetNodeIndex(mainComponent);
+        // Collect actual overrides by comparing with main component
+        for (const node of collectAllNodesWithCache(instance)) {
             try {
-                componentProperties = JSON.parse(JSON.stringify(instance.componentProperties || {}));
+                // Build hierarchy path RELATIVE TO INSTANCE ROOT
+                const hierarchyPath = buildInternalHierarchyPath(node, instance);
+                const siblingIndex = getSiblingIndex(node);
+                const uniqueSignature = createUniqueSignature(node, hierarchyPath, siblingIndex);
+                const componentNodeId = getComponentNodeId(node, instance);
+                const defaultNode = findComponentCounterpart(node, instance, mainComponent, mainComponentIndex);
+                const overrideData = defaultNode
+                    ? detectNodeOverrides(node, defaultNode, instance, nestedMainComponents)
+                    : captureFallbackOverride(node, nestedMainComponents);
+                if (!overrideData)
+                    continue;
+                const override = Object.assign({ nodeId: node.id, nodeName: node.name, nodeType: node.type, hierarchyPath,
+                    siblingIndex,
+                    uniqueSignature }, overrideData);
+                if (componentNodeId !== null) {
+                    override.componentNodeId = componentNodeId;
+                }
+                if (node === instance) {
+                    override.isRoot = true;
+                }
+                overrides.push(override);
+                if (!defaultNode) {
+                    fallbackNodeIds.add(node.id);
+                }
             }
             catch (err) {
-                componentProperties = {};
-            }
-            // 🔍 BUILD OVERRIDE DETECTION SYSTEM
-            // This system detects actual overrides by comparing the current instance state
-            // with the main component's default state. Includes comprehensive fallback
-            // for cases where corresponding nodes cannot be found (e.g., nested instances)
-            const overrides = [];
-            // Helper function to create unique signatures (INTERNAL TO INSTANCE)
-            function createUniqueSignature(node, instanceRoot, hierarchyPath, siblingIndex) {
-                return `${node.type}:${node.name}:${hierarchyPath.join('/')}:${siblingIndex}`;
-            }
-            // Performance optimization: Build a map of all nodes in the main component by internal signature
-            let mainComponentSignatureMap = null;
-            function buildMainComponentSignatureMap(mainComponent) {
-                const map = new Map();
-                // Use cached node collection for better performance
-                const allNodes = collectAllNodesWithCache(mainComponent);
-                for (const node of allNodes) {
-                    const hierarchyPath = buildInternalHierarchyPath(node, mainComponent);
-                    let siblingIndex = 0;
-                    if (node.parent && 'children' in node.parent) {
-                        const children = node.parent.children;
-                        const matchingSiblings = children.filter((child) => child.name === node.name && child.type === node.type);
-                        siblingIndex = matchingSiblings.indexOf(node);
-                    }
-                    const signature = createUniqueSignature(node, mainComponent, hierarchyPath, siblingIndex);
-                    map.set(signature, node);
-                }
-                return map;
-            }
-            // Helper function to calculate sibling index
-            function getSiblingIndex(node) {
-                if (!node.parent || !('children' in node.parent))
-                    return 0;
-                const siblings = node.parent.children;
-                const matchingSiblings = siblings.filter((child) => child.name === node.name && child.type === node.type);
-                return matchingSiblings.indexOf(node);
-            }
-            // Helper function to compare properties and detect overrides
-            function detectOverrides(instanceNode, defaultNode) {
-                const overrideData = {};
-                let hasOverride = false;
+                // Skip nodes with processing errors
+            }
+        }
+        // ✅ ENSURE ROOT INSTANCE COMPONENT PROPERTIES ARE CAPTURED
+        // The root instance's component properties (like "Label") need special handling
+        // because they might not be detected by the normal override detection
+        if (Object.keys(componentProperties).length > 0) {
+            // Check if we already captured the root instance's component properties
+            const rootInstanceOverride = overrides.find(override => override.nodeId === instance.id && override.componentProperties);
+            if (!rootInstanceOverride) {
+                // If not captured, add them as a fallback
+                const rootOverride = {
+                    nodeId: instance.id,
+                    nodeName: instance.name,
+                    nodeType: instance.type,
+                    hierarchyPath: [],
+                    siblingIndex: 0,
+                    uniqueSignature: createUniqueSignature(instance, [], 0),
+                    componentNodeId: '',
+                    isRoot: true,
+                    componentProperties: componentProperties
+                };
+                overrides.push(rootOverride);
+            }
+        }
+        return { overrides, fallbackNodeIds };
+    });
+}
+// Helper function to create unique signature for target nodes (INTERNAL TO INSTANCE)
+function createTargetSignature(node, instanceRoot) {
+    return createUniqueSignature(node, buildInternalHierarchyPath(node, instanceRoot), getSiblingIndex(node));
+}
+// Index a target's nodes by signature. Not cached: it must reflect the structure after variant swaps.
+function buildTargetNodeIndex(root) {
+    // Performance optimization: Filter nodes by overridable types during traversal
+    const allDescendants = 'findAll' in root
+        ? root.findAll((node) => OVERRIDABLE_NODE_TYPES.has(node.type))
+        : [];
+    const allNodes = [root, ...allDescendants];
+    // Performance optimization: Use Map instead of Object for faster lookups
+    const signatureMap = new Map();
+    const identityMap = new Map();
+    for (const node of allNodes) {
+        signatureMap.set(createTargetSignature(node, root), node);
+        const componentNodeId = getComponentNodeId(node, root);
+        if (componentNodeId !== null)
+            identityMap.set(componentNodeId, node);
+    }
+    return { allNodes, signatureMap, identityMap };
+}
+// Match an override to a target node: the same main-component layer, then exact signature,
+// then signature without sibling index, then name+type.
+// Targets of a different component only use their layer mapping.
+function findOverrideTarget(override, index, layerMapping) {
+    if (layerMapping) {
+        if (override.isRoot) {
+            return { node: index.allNodes[0], method: 'mapped' };
+        }
+        const mappedSignature = layerMapping.layers[override.uniqueSignature];
+        const mappedNode = mappedSignature ? index.signatureMap.get(mappedSignature) : undefined;
+        return mappedNode ? { node: mappedNode, method: 'mapped' } : null;
+    }
+    // Primary match: the layer created from the same main-component layer, in an instance of the same
+    // component or once the target has switched to the copied variant
+    if (override.componentNodeId !== undefined) {
+        const identityMatch = index.identityMap.get(override.componentNodeId);
+        if (identityMatch) {
+            return { node: identityMatch, method: 'identity' };
+        }
+    }
+    // Fallback: Use unique signature for precise identification
+    const exactMatch = index.signatureMap.get(override.uniqueSignature);
+    if (exactMatch) {
+        return { node: exactMatch, method: 'signature' };
+    }
+    // Fallback 1: Try signature without sibling index (for structural changes)
+    const fallbackSignature = `${override.nodeType}:${override.nodeName}:${override.hierarchyPath.join('/')}`;
+    for (const [sig, node] of index.signatureMap.entries()) {
+        if (sig.startsWith(fallbackSignature + ':')) {
+            return { node, method: 'structural' };
+        }
+    }
+    // Fallback 2: Match by name and type only (least preferred)
+    for (const node of index.allNodes) {
+        if (node.type === override.nodeType && node.name === override.nodeName) {
+            return { node, method: 'name-type' };
+        }
+    }
+    return null;
+}
+// Resolve the structure a target will have once the copied variant properties are applied,
+// so the preview matches against the variant the paste would switch to
+function resolvePreviewRoot(instance, mainComponent, data) {
+    if (Object.keys(data.variantProperties).length === 0 || propertiesEqual(instance.variantProperties || {}, data.variantProperties)) {
+        return instance;
+    }
+    const componentSet = mainComponent.parent;
+    if (componentSet && componentSet.type === 'COMPONENT_SET') {
+        const merged = Object.assign(Object.assign({}, (instance.variantProperties || {})), data.variantProperties);
+        const variant = componentSet.children.find(child => child.type === 'COMPONENT' && propertiesEqual(child.variantProperties || {}, merged));
+        if (variant)
+            return variant;
+    }
+    return instance;
+}
+// List the override categories captured for a layer, for display in the UI
+function describeOverrideProperties(override) {
+    const properties = [];
+    if (override.characters !== undefined)
+        properties.push('text');
+    if (override.fontName !== undefined)
+        properties.push('font');
+    if (override.fontSize !== undefined)
+        properties.push('font size');
+    if (override.fills !== undefined)
+        properties.push('text fill');
+    if (override.textSegments !== undefined)
+        properties.push('text styling');
+    if (override.opacity !== undefined)
+        properties.push('opacity');
+    if (override.visible !== undefined)
+        properties.push('visibility');
+    if (override.layerFills !== undefined)
+        properties.push('fill');
+    if (override.layerStrokes !== undefined)
+        properties.push('stroke');
+    if (override.geometry !== undefined)
+        properties.push('corners/stroke weight');
+    if (override.layout !== undefined)
+        properties.push('auto layout');
+    if (override.effects !== undefined)
+        properties.push('effects');
+    if (override.blendMode !== undefined)
+        properties.push('blend mode');
+    if (override.variantProperties !== undefined)
+        properties.push('variant');
+    if (override.componentProperties !== undefined)
+        properties.push('properties');
+    if (override.swapComponent !== undefined)
+        properties.push(`swap → ${override.swapComponent.name}`);
+    if (override.styleBindings !== undefined)
+        properties.push('styles');
+    if (override.variableBindings !== undefined)
+        properties.push('variables');
+    return properties;
+}
+// A target is compatible when it uses the source component or another variant of the same component set,
+// or when a layer mapping has been saved from the source component to its component
+function checkPasteCompatibility(instance, data) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        try {
+            const targetMainComponent = yield instance.getMainComponentAsync();
+            if (!targetMainComponent)
+                return { instance, compatible: false };
+            const isCompatible = targetMainComponent.id === data.sourceMainComponentId || // Same component
+                (!!data.sourceComponentSetId &&
+                    ((_a = targetMainComponent.parent) === null || _a === void 0 ? void 0 : _a.type) === 'COMPONENT_SET' &&
+                    targetMainComponent.parent.id === data.sourceComponentSetId); // Same component set
+            if (!isCompatible) {
+                const layerMapping = layerMappings[getLayerMappingKey(data.sourceMainComponentId, targetMainComponent.id)];
+                if (layerMapping) {
+                    return { instance, compatible: true, mainComponent: targetMainComponent, layerMapping };
+                }
+            }
+            return { instance, compatible: isCompatible, mainComponent: targetMainComponent };
+        }
+        catch (err) {
+            return { instance, compatible: false };
+        }
+    });
+}
+// Component property keys carry a per-component suffix ("Label#12:3"), so on another component
+// they are matched by property name and type
+function translateComponentProperties(props, target) {
+    const targetProps = target.componentProperties || {};
+    const translated = {};
+    for (const key in props) {
+        const value = props[key];
+        if (key in targetProps) {
+            translated[key] = value;
+            continue;
+        }
+        const baseName = key.split('#')[0];
+        const sourceType = value && typeof value === 'object' ? value.type : undefined;
+        const targetKey = Object.keys(targetProps).find(candidate => candidate.split('#')[0] === baseName && (!sourceType || targetProps[candidate].type === sourceType));
+        if (targetKey) {
+            translated[targetKey] = value;
+        }
+    }
+    return translated;
+}
+function collectMappingCandidates(targetComponent) {
+    const index = buildTargetNodeIndex(targetComponent);
+    const candidates = [];
+    for (const [signature, node] of index.signatureMap.entries()) {
+        if (node === targetComponent)
+            continue;
+        candidates.push({
+            signature,
+            name: node.name,
+            type: node.type,
+            path: buildInternalHierarchyPath(node, targetComponent),
+            siblingIndex: parseInt(signature.slice(signature.lastIndexOf(':') + 1), 10) || 0
+        });
+    }
+    return candidates;
+}
+function normalizeLayerName(name) {
+    return name.toLowerCase().replace(/\d+/g, '').replace(/[\s_./-]+/g, ' ').trim();
+}
+// Score how likely a target layer is the counterpart of a source layer: name, then hierarchy, then position
+function scoreLayerMatch(override, candidate) {
+    if (override.nodeType !== candidate.type)
+        return 0;
+    let score = 0;
+    if (override.nodeName === candidate.name) {
+        score += 10;
+    }
+    else if (override.nodeName.toLowerCase() === candidate.name.toLowerCase()) {
+        score += 8;
+    }
+    else {
+        const sourceName = normalizeLayerName(override.nodeName);
+        const targetName = normalizeLayerName(candidate.name);
+        if (sourceName && sourceName === targetName) {
+            score += 5;
+        }
+        else if (sourceName && targetName && (sourceName.indexOf(targetName) !== -1 || targetName.indexOf(sourceName) !== -1)) {
+            score += 3;
+        }
+    }
+    // Hierarchy similarity: shared trailing path segments weigh most, since wrappers are often added or removed
+    const sourcePath = override.hierarchyPath.map(part => part.toLowerCase());
+    const targetPath = candidate.path.map(part => part.toLowerCase());
+    let sharedSuffix = 0;
+    while (sharedSuffix < sourcePath.length && sharedSuffix < targetPath.length &&
+        sourcePath[sourcePath.length - 1 - sharedSuffix] === targetPath[targetPath.length - 1 - sharedSuffix]) {
+        sharedSuffix++;
+    }
+    const longestPath = Math.max(sourcePath.length, targetPath.length);
+    score += longestPath === 0 ? 4 : (sharedSuffix / longestPath) * 4;
+    if (sourcePath.length === targetPath.length)
+        score += 1;
+    if (override.siblingIndex === candidate.siblingIndex)
+        score += 1;
+    return score;
+}
+const MIN_LAYER_MATCH_SCORE = 6;
+// Greedily pair the best-scoring source/target layers so each target layer is used at most once
+function buildAutoLayerMapping(overrides, candidates) {
+    const pairs = [];
+    for (const override of overrides) {
+        if (override.isRoot)
+            continue;
+        for (const candidate of candidates) {
+            const score = scoreLayerMatch(override, candidate);
+            if (score >= MIN_LAYER_MATCH_SCORE) {
+                pairs.push({ source: override.uniqueSignature, target: candidate.signature, score });
+            }
+        }
+    }
+    pairs.sort((a, b) => b.score - a.score);
+    const mapping = {};
+    const usedTargets = new Set();
+    for (const override of overrides) {
+        if (!override.isRoot)
+            mapping[override.uniqueSignature] = null;
+    }
+    for (const pair of pairs) {
+        if (mapping[pair.source] || usedTargets.has(pair.target))
+            continue;
+        mapping[pair.source] = pair.target;
+        usedTargets.add(pair.target);
+    }
+    return mapping;
+}
+// Send the mapping table for one target component to the UI: saved choices first, automatic matches for the rest
+// targetIds are the instances waiting on this mapping, so "Save and paste" reaches only those
+function postLayerMappingTable(data, targetComponent, targetIds = []) {
+    const candidates = collectMappingCandidates(targetComponent);
+    const autoMapping = buildAutoLayerMapping(data.overrides, candidates);
+    const saved = layerMappings[getLayerMappingKey(data.sourceMainComponentId, targetComponent.id)];
+    const candidatesByType = {};
+    for (const candidate of candidates) {
+        if (!candidatesByType[candidate.type])
+            candidatesByType[candidate.type] = [];
+        candidatesByType[candidate.type].push({
+            signature: candidate.signature,
+            label: candidate.path.length > 0 ? `${candidate.path.join(' / ')} / ${candidate.name}` : candidate.name
+        });
+    }
+    const rows = data.overrides
+        .filter(override => !override.isRoot)
+        .map(override => ({
+        signature: override.uniqueSignature,
+        nodeName: override.nodeName,
+        nodeType: override.nodeType,
+        path: override.hierarchyPath.join(' / '),
+        properties: describeOverrideProperties(override),
+        target: saved && Object.prototype.hasOwnProperty.call(saved.layers, override.uniqueSignature)
+            ? saved.layers[override.uniqueSignature]
+            : autoMapping[override.uniqueSignature]
+    }));
+    figma.ui.postMessage({
+        type: 'layer-mapping',
+        sourceComponentName: data.sourceComponentName,
+        targetComponentId: targetComponent.id,
+        targetComponentName: targetComponent.name,
+        isSaved: !!saved,
+        targetIds,
+        rows,
+        candidatesByType
+    });
+}
+// Load every font used by a text node (mixed-font layers included) through the shared cache
+function loadTextNodeFonts(textNode) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const fonts = textNode.fontName === figma.mixed
+            ? textNode.getRangeAllFontNames(0, textNode.characters.length)
+            : [textNode.fontName];
+        yield Promise.all(fonts.map((font) => __awaiter(this, void 0, void 0, function* () {
+            const fontKey = JSON.stringify(cloneFontName(font));
+            if (loadedFontsCache.has(fontKey))
+                return;
+            yield figma.loadFontAsync(font);
+            loadedFontsCache.add(fontKey);
+        })));
+    });
+}
+const INSTANCE_STATUS_LABELS = {
+    'applied': 'ok',
+    'partial': 'needs attention',
+    'skipped': 'skipped',
+    'rolled-back': 'rolled back',
+    'failed': 'failed'
+};
+const PASTE_ISSUE_LABELS = {
+    'no-match': 'no matching layer',
+    'font-unavailable': 'font unavailable',
+    'font-substituted': 'font substituted',
+    'property-not-found': 'property not found on the component',
+    'unavailable': 'not available',
+    'set-failed': 'set failed'
+};
+function createPasteIssue(property, reason, err) {
+    const issue = { property, reason };
+    if (err instanceof Error)
+        issue.detail = err.message;
+    else if (typeof err === 'string')
+        issue.detail = err;
+    return issue;
+}
+// Plain-text version of a report, for the "Copy report" link
+function formatOperationReport(report) {
+    const lines = [report.title];
+    for (const instance of report.instances) {
+        lines.push('', `${instance.instanceName} — ${INSTANCE_STATUS_LABELS[instance.status]}${instance.detail ? ` (${instance.detail})` : ''}`);
+        for (const override of instance.overrides) {
+            const target = override.targetName ? ` → ${override.targetName}` : '';
+            const outcome = override.issues.length === 0
+                ? 'ok'
+                : override.issues.map(issue => `${issue.property}: ${PASTE_ISSUE_LABELS[issue.reason]}${issue.detail ? ` (${issue.detail})` : ''}`).join('; ');
+            lines.push(`  • ${override.nodeName}${target} [${override.properties.join(', ')}] ${outcome}`);
+        }
+    }
+    return lines.join('\n');
+}
+function postOperationReport(report) {
+    figma.ui.postMessage({
+        type: 'operation-report',
+        report,
+        text: formatOperationReport(report)
+    });
+}
+// 🧩 APPLY OVERRIDES - Shared by paste and by reverting a paste from its snapshot
+// Set component properties on an instance, trying each API it may support
+function applyComponentProperties(instance, properties) {
+    const issues = [];
+    const availableProperties = instance.componentProperties || {};
+    for (const key of Object.keys(properties)) {
+        if (!(key in availableProperties)) {
+            issues.push(createPasteIssue(`property "${key}"`, 'property-not-found'));
+            continue;
+        }
+        const propertyData = properties[key];
+        try {
+            // Extract the actual value from the component property object
+            // Component properties are stored as objects like {value: 'text', type: 'TEXT'}
+            // but setProperties expects simple key-value pairs
+            let actualValue;
+            if (propertyData && typeof propertyData === 'object' && 'value' in propertyData) {
+                // Extract the value field from the component property object
+                actualValue = propertyData.value;
+            }
+            else {
+                // Fallback: use the property data directly if it's not a complex object
+                actualValue = propertyData;
+            }
+            // Try different approaches for root instance component properties
+            let success = false;
+            // Approach 1: Try setComponentPropertyValue (for nested instances)
+            if (typeof instance.setComponentPropertyValue === 'function') {
                 try {
-                    // TEXT OVERRIDES
-                    if (instanceNode.type === 'TEXT' && defaultNode.type === 'TEXT') {
-                        const instText = instanceNode;
-                        const defText = defaultNode;
-                        if (instText.characters !== defText.characters) {
-                            overrideData.characters = instText.characters;
-                            hasOverride = true;
-                        }
-                        // Font override detection - use efficient comparison
-                        if (instText.fontName !== figma.mixed && defText.fontName !== figma.mixed && !fontNamesEqual(instText.fontName, defText.fontName)) {
-                            try {
-                                overrideData.fontName = cloneFontName(instText.fontName);
-                                hasOverride = true;
-                            }
-                            catch (err) { }
-                        }
-                        if (typeof instText.fontSize === 'number' && typeof defText.fontSize === 'number' && instText.fontSize !== defText.fontSize) {
-                            overrideData.fontSize = instText.fontSize;
-                            hasOverride = true;
-                        }
-                        if (instText.fills !== figma.mixed && defText.fills !== figma.mixed && !paintsEqual(instText.fills, defText.fills)) {
-                            try {
-                                overrideData.fills = clonePaintArray(instText.fills);
-                                hasOverride = true;
-                            }
-                            catch (err) { }
-                        }
+                    instance.setComponentPropertyValue(key, actualValue);
+                    success = true;
+                }
+                catch (setCompErr) {
+                    // setComponentPropertyValue failed, try next approach
+                }
+            }
+            // Approach 2: Try setProperties with the extracted value
+            if (!success && typeof instance.setProperties === 'function') {
+                try {
+                    instance.setProperties({ [key]: actualValue });
+                    success = true;
+                }
+                catch (setPropsErr) {
+                    // setProperties failed, try next approach
+                }
+            }
+            // Approach 3: Try direct assignment to componentProperties (if it's writable)
+            if (!success) {
+                try {
+                    const currentProps = Object.assign({}, instance.componentProperties);
+                    currentProps[key] = actualValue;
+                    instance.componentProperties = currentProps;
+                    success = true;
+                }
+                catch (assignErr) {
+                    // Direct assignment failed
+                }
+            }
+            if (!success) {
+                issues.push(createPasteIssue(`property "${key}"`, 'set-failed', 'No available method'));
+            }
+        }
+        catch (propErr) {
+            // Skip problematic component properties but continue with others
+            issues.push(createPasteIssue(`property "${key}"`, 'set-failed', propErr));
+        }
+    }
+    return issues;
+}
+function getFontKey(font) {
+    return JSON.stringify(cloneFontName(font));
+}
+function isFontLoaded(font) {
+    return loadedFontsCache.has(getFontKey(font));
+}
+// Load every font an override set needs in one batch, skipping fonts loaded earlier.
+// Fonts that are unavailable stay out of the cache and are reported where they are used.
+function loadOverrideFonts(overrides) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const fontsToLoad = new Set();
+        for (const override of overrides) {
+            const overrideFonts = override.fontName ? [override.fontName] : [];
+            for (const segment of override.textSegments || []) {
+                overrideFonts.push(segment.fontName);
+            }
+            for (const font of overrideFonts) {
+                const fontKey = JSON.stringify(cloneFontName(font));
+                if (!loadedFontsCache.has(fontKey)) {
+                    fontsToLoad.add(fontKey);
+                }
+            }
+        }
+        if (fontsToLoad.size > 0) {
+            yield Promise.all(Array.from(fontsToLoad).map((fontStr) => __awaiter(this, void 0, void 0, function* () {
+                const font = JSON.parse(fontStr);
+                try {
+                    yield figma.loadFontAsync(font);
+                    loadedFontsCache.add(fontStr);
+                }
+                catch (err) {
+                    console.warn('❌ Font unavailable:', font, err);
+                }
+            })));
+        }
+    });
+}
+// Every distinct font an override set uses, including those of styled ranges
+function collectOverrideFonts(overrides) {
+    const fonts = new Map();
+    for (const override of overrides) {
+        if (override.fontName)
+            fonts.set(getFontKey(override.fontName), override.fontName);
+        for (const segment of override.textSegments || []) {
+            fonts.set(getFontKey(segment.fontName), segment.fontName);
+        }
+    }
+    return Array.from(fonts.values());
+}
+// Swap unavailable fonts for their substitutes. Returns the rewritten payload and, per override
+// index, which substitutions were made so the report can name the affected layers.
+function substituteOverrideFonts(data, unavailableFonts) {
+    const substitutions = new Map();
+    const substitute = (font, index) => {
+        const fontKey = getFontKey(font);
+        const replacement = unavailableFonts.has(fontKey) ? fontSubstitutions[fontKey] : undefined;
+        if (!replacement)
+            return font;
+        const change = `${font.family} ${font.style} → ${replacement.family} ${replacement.style}`;
+        const changes = substitutions.get(index) || [];
+        if (changes.indexOf(change) === -1)
+            changes.push(change);
+        substitutions.set(index, changes);
+        return cloneFontName(replacement);
+    };
+    const overrides = data.overrides.map((override, index) => {
+        if (!override.fontName && !override.textSegments)
+            return override;
+        const substituted = Object.assign({}, override);
+        if (override.fontName)
+            substituted.fontName = substitute(override.fontName, index);
+        if (override.textSegments) {
+            substituted.textSegments = override.textSegments.map(segment => (Object.assign(Object.assign({}, segment), { fontName: substitute(segment.fontName, index) })));
+        }
+        return substituted;
+    });
+    return { data: Object.assign(Object.assign({}, data), { overrides }), substitutions };
+}
+// Suggest a replacement: another style of the same family, else the same style of Inter, else Inter Regular
+function suggestFontSubstitute(font, availableFonts) {
+    const familyStyles = availableFonts[font.family];
+    if (familyStyles && familyStyles.length > 0) {
+        return { family: font.family, style: familyStyles.indexOf('Regular') !== -1 ? 'Regular' : familyStyles[0] };
+    }
+    const interStyles = availableFonts['Inter'] || [];
+    if (interStyles.indexOf(font.style) !== -1)
+        return { family: 'Inter', style: font.style };
+    if (interStyles.indexOf('Regular') !== -1)
+        return { family: 'Inter', style: 'Regular' };
+    return null;
+}
+// Ask the UI to map each unavailable font to one that is installed
+function postFontSubstitutionTable(missingFonts) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const availableFonts = {};
+        for (const font of yield figma.listAvailableFontsAsync()) {
+            const styles = availableFonts[font.fontName.family] || [];
+            styles.push(font.fontName.style);
+            availableFonts[font.fontName.family] = styles;
+        }
+        figma.ui.postMessage({
+            type: 'font-substitution',
+            fonts: missingFonts.map(font => ({
+                font: cloneFontName(font),
+                suggestion: suggestFontSubstitute(font, availableFonts)
+            })),
+            availableFonts
+        });
+    });
+}
+// Write one override's values onto its matched layer and report anything that did not apply.
+// Instance swaps are handled separately, before matching, because they replace the layer's subtree.
+function applyOverrideValues(targetNode, override, layerMapping) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const issues = [];
+        // TEXT OVERRIDES - content, font and size can each be pasted on their own
+        if (targetNode.type === 'TEXT' && (override.characters !== undefined || override.fontName || override.fontSize !== undefined || override.textSegments)) {
+            const textNode = targetNode;
+            // Fonts that failed to batch-load are reported, and the layer keeps its own font instead
+            const fontName = override.fontName && isFontLoaded(override.fontName) ? override.fontName : undefined;
+            if (override.fontName && !fontName) {
+                issues.push(createPasteIssue('font', 'font-unavailable', `${override.fontName.family} ${override.fontName.style}`));
+            }
+            try {
+                if (fontName) {
+                    textNode.fontName = fontName;
+                }
+                else {
+                    yield loadTextNodeFonts(textNode);
+                }
+                if (override.fontSize !== undefined) {
+                    try {
+                        textNode.fontSize = override.fontSize;
                     }
-                    // VISUAL OVERRIDES
-                    if ('opacity' in instanceNode && 'opacity' in defaultNode) {
-                        if (instanceNode.opacity !== defaultNode.opacity) {
-                            overrideData.opacity = instanceNode.opacity;
-                            hasOverride = true;
-                        }
+                    catch (sizeErr) {
+                        issues.push(createPasteIssue('font size', 'set-failed', sizeErr));
                     }
-                    if ('visible' in instanceNode && 'visible' in defaultNode) {
-                        if (instanceNode.visible !== defaultNode.visible) {
-                            overrideData.visible = instanceNode.visible;
-                            hasOverride = true;
-                        }
+                }
+                // Apply text content last to ensure all formatting is set first
+                if (override.characters !== undefined) {
+                    try {
+                        textNode.characters = override.characters;
                     }
-                    // FILL OVERRIDES (for shapes, not text)
-                    if (('fills' in instanceNode && 'fills' in defaultNode) &&
-                        (instanceNode.type === 'VECTOR' || instanceNode.type === 'BOOLEAN_OPERATION' || instanceNode.type === 'RECTANGLE' || instanceNode.type === 'ELLIPSE' || instanceNode.type === 'POLYGON' || instanceNode.type === 'STAR' || instanceNode.type === 'LINE' || instanceNode.type === 'FRAME' || instanceNode.type === 'COMPONENT' || instanceNode.type === 'INSTANCE')) {
-                        const instanceFills = instanceNode.fills;
-                        const defaultFills = defaultNode.fills;
-                        const fillsEqual = JSON.stringify(instanceFills) === JSON.stringify(defaultFills);
-                        // Always capture fills if present (for node types that can have fills)
-                        if (('fills' in instanceNode && 'fills' in defaultNode) &&
-                            (instanceNode.type === 'VECTOR' || instanceNode.type === 'BOOLEAN_OPERATION' || instanceNode.type === 'RECTANGLE' || instanceNode.type === 'ELLIPSE' || instanceNode.type === 'POLYGON' || instanceNode.type === 'STAR' || instanceNode.type === 'LINE' || instanceNode.type === 'FRAME' || instanceNode.type === 'COMPONENT' || instanceNode.type === 'INSTANCE')) {
-                            const instanceFills = instanceNode.fills;
-                            if (instanceFills && instanceFills.length > 0) {
-                                try {
-                                    overrideData.layerFills = clonePaintArray(instanceFills);
-                                    hasOverride = true;
-                                }
-                                catch (err) { }
-                            }
-                        }
+                    catch (charactersErr) {
+                        issues.push(createPasteIssue('text', 'set-failed', charactersErr));
                     }
-                    // STROKE OVERRIDES
-                    if ('strokes' in instanceNode && 'strokes' in defaultNode) {
-                        const instanceStrokes = instanceNode.strokes;
-                        const defaultStrokes = defaultNode.strokes;
-                        if (!paintsEqual(instanceStrokes, defaultStrokes)) {
-                            try {
-                                overrideData.layerStrokes = clonePaintArray(instanceStrokes);
-                                hasOverride = true;
-                            }
-                            catch (err) { }
-                        }
+                }
+                // Styled ranges go on top of the new content (their fonts were batch-loaded above)
+                if (override.textSegments) {
+                    const missingFont = override.textSegments.find(segment => !isFontLoaded(segment.fontName));
+                    if (missingFont) {
+                        issues.push(createPasteIssue('text styling', 'font-unavailable', `${missingFont.fontName.family} ${missingFont.fontName.style}`));
                     }
-                    // INSTANCE OVERRIDES (nested components)
-                    if (instanceNode.type === 'INSTANCE' && defaultNode.type === 'INSTANCE') {
-                        const instNode = instanceNode;
-                        const defNode = defaultNode;
-                        // Variant properties override
-                        if (!propertiesEqual(instNode.variantProperties || {}, defNode.variantProperties || {})) {
-                            overrideData.variantProperties = cloneVariantProperties(instNode.variantProperties || {});
-                            hasOverride = true;
+                    else {
+                        try {
+                            applyTextSegments(textNode, override.textSegments);
                         }
-                        // Component properties override
-                        if (!propertiesEqual(instNode.componentProperties || {}, defNode.componentProperties || {})) {
-                            try {
-                                overrideData.componentProperties = cloneComponentProperties(instNode.componentProperties || {});
-                                hasOverride = true;
-                            }
-                            catch (err) { }
+                        catch (segmentErr) {
+                            issues.push(createPasteIssue('text styling', 'set-failed', segmentErr));
                         }
                     }
                 }
-                catch (err) {
-                    // Skip nodes with comparison errors
-                }
-                return hasOverride ? overrideData : null;
             }
-            // Helper function to find corresponding node in main component (now uses signature map)
-            function findCorrespondingNode(instanceNode, internalHierarchyPath, siblingIndex) {
-                try {
-                    if (!mainComponent)
-                        return null;
-                    if (!mainComponentSignatureMap) {
-                        mainComponentSignatureMap = buildMainComponentSignatureMap(mainComponent);
-                    }
-                    // Special handling for the root instance itself - but we still need to compare it
-                    if (instanceNode === instance) {
-                        return mainComponent; // Return main component for comparison
-                    }
-                    // Build the signature for this node relative to the main component
-                    const signature = createUniqueSignature(instanceNode, instance, internalHierarchyPath, siblingIndex);
-                    // Look up in the main component's signature map
-                    return mainComponentSignatureMap.get(signature) || null;
-                }
-                catch (err) { }
+            catch (textErr) {
+                // The layer's own fonts could not be loaded, so none of its text can be edited
+                issues.push(createPasteIssue('text', 'font-unavailable', textErr));
+            }
+        }
+        // TEXT FILL OVERRIDES
+        if (override.fills !== undefined && targetNode.type === 'TEXT') {
+            try {
+                targetNode.fills = clonePaintArray(override.fills);
+            }
+            catch (fillErr) {
+                issues.push(createPasteIssue('text fill', 'set-failed', fillErr));
+            }
+        }
+        // VISUAL OVERRIDES
+        if (override.opacity !== undefined) {
+            if (!('opacity' in targetNode)) {
+                issues.push(createPasteIssue('opacity', 'property-not-found'));
+            }
+            else {
+                try {
+                    targetNode.opacity = override.opacity;
+                }
+                catch (opacityErr) {
+                    issues.push(createPasteIssue('opacity', 'set-failed', opacityErr));
+                }
+            }
+        }
+        if (override.visible !== undefined) {
+            if (!('visible' in targetNode)) {
+                issues.push(createPasteIssue('visibility', 'property-not-found'));
+            }
+            else {
+                try {
+                    targetNode.visible = override.visible;
+                }
+                catch (visErr) {
+                    issues.push(createPasteIssue('visibility', 'set-failed', visErr));
+                }
+            }
+        }
+        // SHAPE FILL OVERRIDES
+        if (override.layerFills !== undefined && targetNode.type !== 'TEXT') {
+            if (!('fills' in targetNode)) {
+                issues.push(createPasteIssue('fill', 'property-not-found'));
+            }
+            else {
+                try {
+                    targetNode.fills = clonePaintArray(override.layerFills);
+                }
+                catch (layerFillErr) {
+                    issues.push(createPasteIssue('fill', 'set-failed', layerFillErr));
+                }
+            }
+        }
+        // STROKE OVERRIDES
+        if (override.layerStrokes !== undefined) {
+            if (!('strokes' in targetNode)) {
+                issues.push(createPasteIssue('stroke', 'property-not-found'));
+            }
+            else {
+                try {
+                    targetNode.strokes = clonePaintArray(override.layerStrokes);
+                }
+                catch (strokeErr) {
+                    issues.push(createPasteIssue('stroke', 'set-failed', strokeErr));
+                }
+            }
+        }
+        // GEOMETRY AND LAYOUT OVERRIDES
+        if (override.geometry) {
+            issues.push(...applyNodeProperties(targetNode, override.geometry));
+        }
+        if (override.layout) {
+            issues.push(...applyNodeProperties(targetNode, override.layout));
+        }
+        // EFFECT AND BLEND MODE OVERRIDES
+        if (override.effects !== undefined) {
+            if (!('effects' in targetNode)) {
+                issues.push(createPasteIssue('effects', 'property-not-found'));
+            }
+            else {
+                try {
+                    targetNode.effects = cloneEffectArray(override.effects);
+                }
+                catch (effectErr) {
+                    issues.push(createPasteIssue('effects', 'set-failed', effectErr));
+                }
+            }
+        }
+        if (override.blendMode !== undefined) {
+            if (!('blendMode' in targetNode)) {
+                issues.push(createPasteIssue('blend mode', 'property-not-found'));
+            }
+            else {
+                try {
+                    targetNode.blendMode = override.blendMode;
+                }
+                catch (blendErr) {
+                    issues.push(createPasteIssue('blend mode', 'set-failed', blendErr));
+                }
+            }
+        }
+        // NESTED INSTANCE OVERRIDES - These need to be async
+        if ((override.variantProperties || override.componentProperties) && targetNode.type !== 'INSTANCE') {
+            issues.push(createPasteIssue(override.variantProperties ? 'variant' : 'properties', 'property-not-found', 'Matched layer is not an instance'));
+        }
+        if (override.variantProperties && targetNode.type === 'INSTANCE') {
+            const targetVariants = targetNode.variantProperties || {};
+            const missingVariants = Object.keys(override.variantProperties).filter(key => !(key in targetVariants));
+            if (missingVariants.length > 0) {
+                issues.push(createPasteIssue('variant', 'property-not-found', missingVariants.join(', ')));
+            }
+            try {
+                yield targetNode.setProperties(override.variantProperties);
+            }
+            catch (varErr) {
+                issues.push(createPasteIssue('variant', 'unavailable', varErr));
+            }
+        }
+        if (override.componentProperties && targetNode.type === 'INSTANCE') {
+            const nestedComponentProperties = layerMapping
+                ? translateComponentProperties(override.componentProperties, targetNode)
+                : override.componentProperties;
+            issues.push(...applyComponentProperties(targetNode, nestedComponentProperties));
+        }
+        // STYLE AND VARIABLE REFERENCES - applied last so the link wins over the raw values above
+        if (override.styleBindings) {
+            try {
+                issues.push(...yield applyStyleBindings(targetNode, override.styleBindings));
+            }
+            catch (styleErr) {
+                issues.push(createPasteIssue('styles', 'set-failed', styleErr));
+            }
+        }
+        if (override.variableBindings) {
+            try {
+                issues.push(...yield applyVariableBindings(targetNode, override.variableBindings));
+            }
+            catch (variableErr) {
+                issues.push(createPasteIssue('variables', 'set-failed', variableErr));
+            }
+        }
+        return issues;
+    });
+}
+// ⚙️ OVERRIDE ENGINE - Copy from and paste onto one instance, with no UI involved. The message handlers
+// wrap these with selection checks, snapshots, progress and reports; the tests in test/ call them directly.
+function captureInstanceData(instance, mainComponent) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        // Get component set for cross-variant compatibility
+        const componentSet = ((_a = mainComponent.parent) === null || _a === void 0 ? void 0 : _a.type) === 'COMPONENT_SET' ? mainComponent.parent : null;
+        // Extract variant and component properties
+        const variantProperties = {};
+        for (const key in instance.variantProperties || {}) {
+            variantProperties[key] = String(instance.variantProperties[key]);
+        }
+        let componentProperties = {};
+        try {
+            componentProperties = JSON.parse(JSON.stringify(instance.componentProperties || {}));
+        }
+        catch (err) {
+            componentProperties = {};
+        }
+        const { overrides, fallbackNodeIds } = yield detectInstanceOverrides(instance, mainComponent, componentProperties);
+        // Record published keys for style and variable references
+        yield attachReferenceKeys(overrides);
+        return {
+            data: {
+                sourceComponentName: mainComponent.name,
+                sourceInstanceName: instance.name,
+                sourceComponentSetId: (componentSet === null || componentSet === void 0 ? void 0 : componentSet.id) || null,
+                sourceMainComponentId: mainComponent.id,
+                sourceComponentKey: mainComponent.key,
+                variantProperties,
+                componentProperties,
+                overrides,
+                timestamp: Date.now()
+            },
+            fallbackNodeIds
+        };
+    });
+}
+// Apply a payload to one instance. Fonts must already be loaded (loadOverrideFonts).
+// failedPartway means a write threw - on the root or on a layer - leaving the instance half-applied.
+function applyInstanceData(instance_1, data_1, layerMapping_1) {
+    return __awaiter(this, arguments, void 0, function* (instance, data, layerMapping, substitutedFonts = new Map()) {
+        var _a, _b;
+        const overrideReports = [];
+        // ✅ FIRST: APPLY VARIANT AND COMPONENT PROPERTIES
+        // These changes can restructure the entire instance, so we do them first.
+        // Variants of another component have different names, so they are not carried across.
+        if (!layerMapping && Object.keys(data.variantProperties).length > 0) {
+            yield instance.setProperties(data.variantProperties);
+        }
+        // ✅ SECOND: APPLY COMPONENT PROPERTIES (like "Label" text)
+        // Component properties must be applied after variant properties but before other overrides
+        const rootComponentProperties = layerMapping
+            ? translateComponentProperties(data.componentProperties, instance)
+            : data.componentProperties;
+        if (Object.keys(rootComponentProperties).length > 0) {
+            overrideReports.push({
+                nodeName: instance.name,
+                properties: ['properties'],
+                issues: applyComponentProperties(instance, rootComponentProperties)
+            });
+        }
+        // ✅ SWAP NESTED INSTANCES - a swap replaces the layer's subtree, so do it before mapping.
+        // Shallow swaps go first and the index is rebuilt each time, as deeper layers may have changed.
+        const swapIssues = new Map();
+        const swapOverrides = data.overrides
+            .filter(override => override.swapComponent)
+            .sort((a, b) => a.hierarchyPath.length - b.hierarchyPath.length);
+        for (const override of swapOverrides) {
+            const swapTarget = (_a = findOverrideTarget(override, buildTargetNodeIndex(instance), layerMapping)) === null || _a === void 0 ? void 0 : _a.node;
+            if (!swapTarget || swapTarget === instance)
+                continue;
+            if (swapTarget.type !== 'INSTANCE') {
+                swapIssues.set(override, createPasteIssue('swap', 'property-not-found', 'Matched layer is not an instance'));
+                continue;
+            }
+            try {
+                const component = yield resolveComponentReference(override.swapComponent);
+                const currentComponent = yield swapTarget.getMainComponentAsync();
+                if (!component) {
+                    swapIssues.set(override, createPasteIssue('swap', 'unavailable', `${override.swapComponent.name} is not available in this file`));
+                }
+                else if (!currentComponent || currentComponent.id !== component.id) {
+                    // Swapping to the same component would reset the layer's own overrides
+                    swapTarget.swapComponent(component);
+                }
+            }
+            catch (swapErr) {
+                swapIssues.set(override, createPasteIssue('swap', 'set-failed', swapErr));
+            }
+        }
+        // ✅ THIRD: BUILD NODE MAPPING AFTER STRUCTURAL CHANGES
+        const targetIndex = buildTargetNodeIndex(instance);
+        // ✅ APPLY OVERRIDES WITH ADVANCED MATCHING - PARALLELIZED
+        // Create a clean copy of overrides for this instance to prevent shared reference issues
+        const instanceOverrides = data.overrides.map(override => (Object.assign({}, override)));
+        let failedPartway = false;
+        // Performance optimization: Process all overrides in parallel for maximum speed
+        const overridePromises = instanceOverrides.map((override, index) => __awaiter(this, void 0, void 0, function* () {
+            const report = {
+                nodeName: override.nodeName,
+                properties: describeOverrideProperties(override),
+                issues: []
+            };
+            const swapIssue = swapIssues.get(data.overrides[index]);
+            if (swapIssue)
+                report.issues.push(swapIssue);
+            const fonts = substitutedFonts.get(index);
+            if (fonts)
+                report.issues.push(createPasteIssue('font', 'font-substituted', fonts.join(', ')));
+            const match = findOverrideTarget(override, targetIndex, layerMapping);
+            if (!match) {
+                report.issues.push(createPasteIssue('layer', 'no-match')); // Skip if no match found
+                return report;
+            }
+            const targetNode = match.node;
+            report.matchMethod = match.method;
+            report.targetName = targetNode.name;
+            try {
+                report.issues.push(...yield applyOverrideValues(targetNode, override, layerMapping));
+            }
+            catch (err) {
+                // Anything escaping the per-property handling leaves the instance half-applied
+                report.issues.push(createPasteIssue('layer', 'set-failed', err));
+                failedPartway = true;
+            }
+            return report;
+        }));
+        // Wait for all overrides to complete in parallel
+        overrideReports.push(...yield Promise.all(overridePromises));
+        // Each property reports its own failed write, root properties and swaps included, which still
+        // leaves the others applied
+        if (overrideReports.some(report => report.issues.some(issue => issue.reason === 'set-failed'))) {
+            failedPartway = true;
+        }
+        if (failedPartway) {
+            return { overrides: overrideReports, failedPartway };
+        }
+        // ✅ RE-APPLY ALL FILL OVERRIDES AFTER STRUCTURAL CHANGES
+        // This ensures fills are restored even if the structure changes after variant/component swaps
+        // Layers linked to a fill style keep the style instead of its detached paints
+        const fillOverrides = instanceOverrides.filter(o => { var _a; return o.layerFills !== undefined && !((_a = o.styleBindings) === null || _a === void 0 ? void 0 : _a.fillStyleId); });
+        for (const override of fillOverrides) {
+            const targetNode = (_b = findOverrideTarget(override, targetIndex, layerMapping)) === null || _b === void 0 ? void 0 : _b.node;
+            if (targetNode && 'fills' in targetNode && targetNode.type !== 'TEXT') {
+                try {
+                    targetNode.fills = clonePaintArray(override.layerFills);
+                }
+                catch (layerFillErr) {
+                    // Skip layer fill errors
+                }
+            }
+        }
+        return { overrides: overrideReports, failedPartway };
+    });
+}
+let lastPasteSnapshots = [];
+// Instances pasted per batch; the plugin yields to the UI between batches
+const PASTE_BATCH_SIZE = 10;
+// Set from the UI's Cancel button and checked before each batch
+let pasteCancelRequested = false;
+// Read the current value of every property the override will write on this layer
+function captureNodeState(node, override, layerMapping) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const state = {};
+        const styles = override.styleBindings || {};
+        // Text is restored as a whole (content plus styled ranges) since any text override can reflow it
+        if (node.type === 'TEXT' && (override.characters !== undefined || override.fontName || override.fontSize !== undefined || override.fills || override.textSegments || styles.textStyleId || styles.fillStyleId)) {
+            state.characters = node.characters;
+            if (node.fontName !== figma.mixed)
+                state.fontName = cloneFontName(node.fontName);
+            if (node.fontSize !== figma.mixed)
+                state.fontSize = node.fontSize;
+            if (node.fills !== figma.mixed)
+                state.fills = clonePaintArray(node.fills);
+            state.textSegments = captureTextSegments(node);
+        }
+        if (override.opacity !== undefined && 'opacity' in node)
+            state.opacity = node.opacity;
+        if (override.visible !== undefined && 'visible' in node)
+            state.visible = node.visible;
+        if ((override.layerFills !== undefined || styles.fillStyleId) && 'fills' in node && node.type !== 'TEXT' && node.fills !== figma.mixed) {
+            state.layerFills = clonePaintArray(node.fills);
+        }
+        if ((override.layerStrokes !== undefined || styles.strokeStyleId) && 'strokes' in node)
+            state.layerStrokes = clonePaintArray(node.strokes);
+        if (override.geometry)
+            state.geometry = readNodeProperties(node, Object.keys(override.geometry));
+        if (override.layout)
+            state.layout = readNodeProperties(node, Object.keys(override.layout));
+        if ((override.effects !== undefined || styles.effectStyleId) && 'effects' in node)
+            state.effects = cloneEffectArray(node.effects);
+        if (override.blendMode !== undefined && 'blendMode' in node)
+            state.blendMode = node.blendMode;
+        if (node.type === 'INSTANCE') {
+            if (override.variantProperties)
+                state.variantProperties = cloneVariantProperties(node.variantProperties || {});
+            if (override.componentProperties) {
+                const properties = layerMapping ? translateComponentProperties(override.componentProperties, node) : override.componentProperties;
+                state.componentProperties = {};
+                for (const key in properties) {
+                    const current = node.componentProperties[key];
+                    if (current)
+                        state.componentProperties[key] = { type: current.type, value: current.value };
+                }
+            }
+            if (override.swapComponent) {
+                const currentComponent = yield node.getMainComponentAsync();
+                if (currentComponent)
+                    state.swapComponent = { id: currentComponent.id, key: currentComponent.key, name: currentComponent.name };
+            }
+        }
+        // Styles that were linked before are relinked; unlinked ones are covered by the raw values above
+        for (const field of STYLE_BINDING_FIELDS) {
+            if (!styles[field] || !(field in node))
+                continue;
+            const styleId = node[field];
+            if (typeof styleId === 'string' && styleId !== '') {
+                state.styleBindings = Object.assign(Object.assign({}, state.styleBindings), { [field]: { id: styleId } });
+            }
+        }
+        const unboundVariables = [];
+        if (override.variableBindings) {
+            const currentBindings = node.boundVariables || {};
+            for (const field in override.variableBindings) {
+                const alias = currentBindings[field];
+                if (alias) {
+                    state.variableBindings = Object.assign(Object.assign({}, state.variableBindings), { [field]: { id: alias.id } });
+                }
+                else {
+                    unboundVariables.push(field);
+                }
+            }
+        }
+        return {
+            nodeId: node.id,
+            depth: override.hierarchyPath.length,
+            state,
+            unboundVariables,
+            unboundValues: readNodeProperties(node, unboundVariables)
+        };
+    });
+}
+// Snapshot an instance before pasting: its root variant/properties and each layer the overrides match
+function captureInstanceSnapshot(instance, data, layerMapping) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const snapshot = {
+            instanceId: instance.id,
+            instanceName: instance.name,
+            variantProperties: null,
+            componentProperties: {},
+            nodes: []
+        };
+        if (!layerMapping && Object.keys(data.variantProperties).length > 0) {
+            snapshot.variantProperties = cloneVariantProperties(instance.variantProperties || {});
+        }
+        const rootProperties = layerMapping ? translateComponentProperties(data.componentProperties, instance) : data.componentProperties;
+        for (const key in rootProperties) {
+            const current = instance.componentProperties[key];
+            if (current)
+                snapshot.componentProperties[key] = current.value;
+        }
+        const index = buildTargetNodeIndex(instance);
+        for (const override of data.overrides) {
+            const match = findOverrideTarget(override, index, layerMapping);
+            if (match) {
+                snapshot.nodes.push(yield captureNodeState(match.node, override, layerMapping));
+            }
+        }
+        return snapshot;
+    });
+}
+// Put an instance back the way the snapshot found it. Structure comes first: reverting the variant
+// and swaps brings the original layers back under their original IDs, then their values are restored.
+function restoreInstanceSnapshot(snapshot) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const instance = yield figma.getNodeByIdAsync(snapshot.instanceId);
+        if (!instance || instance.type !== 'INSTANCE')
+            return false;
+        if (snapshot.variantProperties) {
+            yield instance.setProperties(snapshot.variantProperties);
+        }
+        if (Object.keys(snapshot.componentProperties).length > 0) {
+            applyComponentProperties(instance, snapshot.componentProperties);
+        }
+        const nodes = snapshot.nodes.slice().sort((a, b) => a.depth - b.depth);
+        for (const nodeSnapshot of nodes) {
+            if (!nodeSnapshot.state.swapComponent)
+                continue;
+            const node = yield figma.getNodeByIdAsync(nodeSnapshot.nodeId);
+            if (!node || node.type !== 'INSTANCE')
+                continue;
+            const component = yield resolveComponentReference(nodeSnapshot.state.swapComponent);
+            const currentComponent = yield node.getMainComponentAsync();
+            if (component && (!currentComponent || currentComponent.id !== component.id)) {
+                node.swapComponent(component);
+            }
+        }
+        yield loadOverrideFonts(nodes.map(nodeSnapshot => nodeSnapshot.state));
+        for (const nodeSnapshot of nodes) {
+            const node = yield figma.getNodeByIdAsync(nodeSnapshot.nodeId);
+            if (!node)
+                continue;
+            yield applyOverrideValues(node, nodeSnapshot.state);
+            for (const field of nodeSnapshot.unboundVariables) {
+                try {
+                    node.setBoundVariable(field, null);
+                }
+                catch (err) {
+                    console.warn(`❌ Failed to unbind ${field} on:`, node.name, err);
+                }
+            }
+            applyNodeProperties(node, nodeSnapshot.unboundValues);
+        }
+        return true;
+    });
+}
+const ALL_RESET_CATEGORIES = ['text', 'fonts', 'fills', 'strokes', 'visibility', 'appearance', 'nested'];
+function parseResetCategories(value) {
+    if (!Array.isArray(value))
+        return [];
+    return ALL_RESET_CATEGORIES.filter(category => value.indexOf(category) !== -1);
+}
+// The main component's value for every property in the chosen categories that the instance layer overrides.
+// Returned in override shape so it goes through the same apply path as a paste.
+function collectResetValues(instanceNode, defaultNode, categories) {
+    const values = {};
+    const includes = (category) => categories.indexOf(category) !== -1;
+    // A linked style is part of the property it controls. Returns true when the links differ; the
+    // default's style is relinked, or the raw value reset detaches the instance's own style.
+    const resetStyleLink = (field) => {
+        if (!(field in instanceNode) || !(field in defaultNode))
+            return false;
+        const instanceStyleId = instanceNode[field];
+        const defaultStyleId = defaultNode[field];
+        if (typeof instanceStyleId !== 'string' || typeof defaultStyleId !== 'string' || instanceStyleId === defaultStyleId)
+            return false;
+        if (defaultStyleId !== '') {
+            values.styleBindings = Object.assign(Object.assign({}, values.styleBindings), { [field]: { id: defaultStyleId } });
+        }
+        return true;
+    };
+    if (instanceNode.type === 'TEXT' && defaultNode.type === 'TEXT') {
+        if (includes('text') && instanceNode.characters !== defaultNode.characters) {
+            values.characters = defaultNode.characters;
+        }
+        // Mixed styling is restored range by range, which includes each range's colour
+        if (includes('fonts')) {
+            const defaultSegments = captureTextSegments(defaultNode);
+            if (resetStyleLink('textStyleId') || !textSegmentsEqual(captureTextSegments(instanceNode), defaultSegments)) {
+                if (defaultNode.fontName !== figma.mixed)
+                    values.fontName = cloneFontName(defaultNode.fontName);
+                if (defaultNode.fontSize !== figma.mixed)
+                    values.fontSize = defaultNode.fontSize;
+                if (defaultSegments.length > 1)
+                    values.textSegments = defaultSegments;
+            }
+        }
+        if (includes('fills') && defaultNode.fills !== figma.mixed) {
+            const fillStyleChanged = resetStyleLink('fillStyleId');
+            if (fillStyleChanged || instanceNode.fills === figma.mixed || !paintsEqual(instanceNode.fills, defaultNode.fills)) {
+                values.fills = clonePaintArray(defaultNode.fills);
+            }
+        }
+    }
+    else if (includes('fills') && 'fills' in instanceNode && 'fills' in defaultNode && defaultNode.fills !== figma.mixed) {
+        const fillStyleChanged = resetStyleLink('fillStyleId');
+        if (fillStyleChanged || instanceNode.fills === figma.mixed || !paintsEqual(instanceNode.fills, defaultNode.fills)) {
+            values.layerFills = clonePaintArray(defaultNode.fills);
+        }
+    }
+    if (includes('strokes') && 'strokes' in instanceNode && 'strokes' in defaultNode) {
+        const strokeStyleChanged = resetStyleLink('strokeStyleId');
+        if (strokeStyleChanged || !paintsEqual(instanceNode.strokes, defaultNode.strokes)) {
+            values.layerStrokes = clonePaintArray(defaultNode.strokes);
+        }
+    }
+    if (includes('visibility')) {
+        if ('visible' in instanceNode && 'visible' in defaultNode && instanceNode.visible !== defaultNode.visible) {
+            values.visible = defaultNode.visible;
+        }
+        if ('opacity' in instanceNode && 'opacity' in defaultNode && instanceNode.opacity !== defaultNode.opacity) {
+            values.opacity = defaultNode.opacity;
+        }
+    }
+    if (includes('appearance')) {
+        // Arguments swapped so the diff returns the main component's values
+        const geometry = diffNodeProperties(defaultNode, instanceNode, GEOMETRY_PROPERTY_FIELDS);
+        if (geometry)
+            values.geometry = geometry;
+        const layout = diffNodeProperties(defaultNode, instanceNode, LAYOUT_PROPERTY_FIELDS);
+        if (layout)
+            values.layout = layout;
+        if ('effects' in instanceNode && 'effects' in defaultNode) {
+            const effectStyleChanged = resetStyleLink('effectStyleId');
+            if (effectStyleChanged || !effectsEqual(instanceNode.effects, defaultNode.effects)) {
+                values.effects = cloneEffectArray(defaultNode.effects);
+            }
+        }
+        if ('blendMode' in instanceNode && 'blendMode' in defaultNode && instanceNode.blendMode !== defaultNode.blendMode) {
+            values.blendMode = defaultNode.blendMode;
+        }
+    }
+    return Object.keys(values).length > 0 ? values : null;
+}
+// Reset nested instances' swaps, variants and component properties. Run before value resets,
+// since each of these can replace the layers below the nested instance.
+function resetNestedInstance(node, defaultNode) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const report = { nodeName: node.name, properties: [], issues: [] };
+        try {
+            const [currentComponent, defaultComponent] = yield Promise.all([node.getMainComponentAsync(), defaultNode.getMainComponentAsync()]);
+            if (currentComponent && defaultComponent && currentComponent.id !== defaultComponent.id) {
+                node.swapComponent(defaultComponent);
+                report.properties.push(`swap → ${defaultComponent.name}`);
+            }
+        }
+        catch (swapErr) {
+            report.issues.push(createPasteIssue('swap', 'set-failed', swapErr));
+        }
+        if (!propertiesEqual(node.variantProperties || {}, defaultNode.variantProperties || {})) {
+            try {
+                node.setProperties(cloneVariantProperties(defaultNode.variantProperties || {}));
+                report.properties.push('variant');
+            }
+            catch (variantErr) {
+                report.issues.push(createPasteIssue('variant', 'set-failed', variantErr));
+            }
+        }
+        const changedProperties = {};
+        const defaultProperties = defaultNode.componentProperties || {};
+        for (const key in defaultProperties) {
+            const current = node.componentProperties[key];
+            if (defaultProperties[key].type !== 'VARIANT' && current && current.value !== defaultProperties[key].value) {
+                changedProperties[key] = defaultProperties[key].value;
+            }
+        }
+        if (Object.keys(changedProperties).length > 0) {
+            report.properties.push('properties');
+            report.issues.push(...applyComponentProperties(node, changedProperties));
+        }
+        return report.properties.length > 0 || report.issues.length > 0 ? report : null;
+    });
+}
+function resetInstanceOverrides(instance, categories) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const mainComponent = yield instance.getMainComponentAsync();
+        if (!mainComponent) {
+            return { instanceName: instance.name, status: 'failed', detail: 'Instance has no main component', overrides: [] };
+        }
+        // Layers are paired with the main component the same way copy compares them
+        const defaultIndex = buildTargetNodeIndex(mainComponent);
+        const findDefaultNode = (node) => findComponentCounterpart(node, instance, mainComponent, defaultIndex);
+        const reports = [];
+        if (categories.indexOf('nested') !== -1) {
+            // Document order visits outer instances first; layers they replace are skipped as removed
+            const nestedInstances = buildTargetNodeIndex(instance).allNodes
+                .filter((node) => node.type === 'INSTANCE' && node !== instance);
+            for (const node of nestedInstances) {
+                if (node.removed)
+                    continue;
+                const defaultNode = findDefaultNode(node);
+                if (!defaultNode || defaultNode.type !== 'INSTANCE')
+                    continue;
+                const report = yield resetNestedInstance(node, defaultNode);
+                if (report)
+                    reports.push(report);
+            }
+        }
+        const valueCategories = categories.filter(category => category !== 'nested');
+        if (valueCategories.length > 0) {
+            const resets = [];
+            for (const node of buildTargetNodeIndex(instance).allNodes) {
+                const defaultNode = findDefaultNode(node);
+                const values = defaultNode ? collectResetValues(node, defaultNode, valueCategories) : null;
+                if (values)
+                    resets.push({ node, values });
+            }
+            yield loadOverrideFonts(resets.map(reset => reset.values));
+            for (const { node, values } of resets) {
+                reports.push({
+                    nodeName: node.name,
+                    properties: describeOverrideProperties(values),
+                    issues: yield applyOverrideValues(node, values)
+                });
+            }
+        }
+        return {
+            instanceName: instance.name,
+            status: reports.some(report => report.issues.length > 0) ? 'partial' : 'applied',
+            detail: reports.length === 0 ? 'No overrides in the chosen categories' : undefined,
+            overrides: reports
+        };
+    });
+}
+// Instances inside other instances or component definitions belong to those components, so they are not audited on their own
+function isAuditableInstance(instance) {
+    let parent = instance.parent;
+    while (parent && parent.type !== 'PAGE') {
+        if (parent.type === 'INSTANCE' || parent.type === 'COMPONENT' || parent.type === 'COMPONENT_SET')
+            return false;
+        parent = parent.parent;
+    }
+    return true;
+}
+// Root component properties that differ from their definition's default value
+function getOverriddenComponentProperties(instance, mainComponent) {
+    const owner = mainComponent.parent && mainComponent.parent.type === 'COMPONENT_SET' ? mainComponent.parent : mainComponent;
+    const definitions = owner.componentPropertyDefinitions;
+    const properties = instance.componentProperties || {};
+    return Object.keys(properties).filter(key => {
+        const definition = definitions[key];
+        return definition && definition.type !== 'VARIANT' && properties[key].value !== definition.defaultValue;
+    });
+}
+// "layer › property" labels for every override on the instance, excluding layers captured as-is
+function collectAuditOverrides(instance, mainComponent) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const labels = new Set();
+        const { overrides, fallbackNodeIds } = yield detectInstanceOverrides(instance, mainComponent, {});
+        for (const override of overrides) {
+            if (fallbackNodeIds.has(override.nodeId))
+                continue;
+            const layer = override.isRoot ? '(instance)' : [...override.hierarchyPath, override.nodeName].join(' / ');
+            for (const property of describeOverrideProperties(override)) {
+                labels.add(`${layer} › ${property}`);
+            }
+        }
+        for (const key of getOverriddenComponentProperties(instance, mainComponent)) {
+            labels.add(`(instance) › property "${key}"`);
+        }
+        return labels;
+    });
+}
+function getComponentDisplayName(component) {
+    return component.parent && component.parent.type === 'COMPONENT_SET' ? `${component.parent.name} / ${component.name}` : component.name;
+}
+function getContainingPage(node) {
+    let current = node;
+    while (current && current.type !== 'PAGE') {
+        current = current.parent;
+    }
+    return current;
+}
+let loadedDataTable = null;
+// RFC 4180-style parsing: quoted fields may contain separators, doubled quotes and line breaks.
+// Semicolon- and tab-separated exports are detected from the header line.
+function parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [';', '\t'].reduce((best, candidate) => headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ',');
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            }
+            else if (char === '"') {
+                quoted = false;
+            }
+            else {
+                field += char;
+            }
+        }
+        else if (char === '"') {
+            quoted = true;
+        }
+        else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n')
+                i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        }
+        else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+// Accepts CSV with a header row, or JSON as an array of objects (optionally under "rows" or "data")
+function parseDataTable(content, fileName) {
+    const trimmed = content.trim();
+    if (trimmed === '')
+        return { error: 'the file is empty' };
+    if (/\.json$/i.test(fileName) || trimmed[0] === '[' || trimmed[0] === '{') {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        }
+        catch (_err) {
+            return { error: 'file is not valid JSON' };
+        }
+        const items = Array.isArray(parsed) ? parsed
+            : isPlainObject(parsed) && Array.isArray(parsed.rows) ? parsed.rows
+                : isPlainObject(parsed) && Array.isArray(parsed.data) ? parsed.data
+                    : null;
+        if (!items || !items.every(isPlainObject)) {
+            return { error: 'expected an array of objects, one per row' };
+        }
+        const columns = [];
+        const rows = items.map(item => {
+            const row = {};
+            for (const key of Object.keys(item)) {
+                if (columns.indexOf(key) === -1)
+                    columns.push(key);
+                const value = item[key];
+                row[key] = value === null || value === undefined ? null
+                    : typeof value === 'object' ? JSON.stringify(value)
+                        : value;
+            }
+            return row;
+        });
+        if (rows.length === 0)
+            return { error: 'the table has no rows' };
+        return { table: { fileName, columns, rows } };
+    }
+    const records = parseCsv(content);
+    if (records.length < 2)
+        return { error: 'expected a header row and at least one data row' };
+    const columns = records[0].map((header, index) => header.trim() || `Column ${index + 1}`);
+    const rows = records.slice(1).map(cells => {
+        const row = {};
+        columns.forEach((column, index) => {
+            row[column] = index < cells.length ? cells[index] : null;
+        });
+        return row;
+    });
+    return { table: { fileName, columns, rows } };
+}
+function normalizeColumnName(name) {
+    return name.toLowerCase().replace(/[\s_./-]+/g, ' ').trim();
+}
+// Instances a property binding can reach: the node itself and every instance inside it, with their paths
+function collectPopulateInstances(root) {
+    const instances = root.type === 'INSTANCE' ? [root] : [];
+    if ('findAllWithCriteria' in root) {
+        instances.push(...root.findAllWithCriteria({ types: ['INSTANCE'] }));
+    }
+    return instances.map(instance => {
+        const indices = [];
+        for (let node = instance; node !== root && node.parent; node = node.parent) {
+            indices.unshift(node.parent.children.indexOf(node));
+        }
+        return { instance, path: indices.join('.') };
+    });
+}
+// The instance at a binding path, which duplicates and same-component selections share
+function findPopulateInstance(root, path) {
+    let node = root;
+    for (const index of path ? path.split('.') : []) {
+        node = node && 'children' in node ? node.children[Number(index)] : undefined;
+    }
+    return node && node.type === 'INSTANCE' ? node : null;
+}
+function collectPopulateTextLayers(root, layerName) {
+    const name = layerName.trim();
+    const layers = root.type === 'TEXT' && root.name.trim() === name ? [root] : [];
+    if ('findAllWithCriteria' in root) {
+        layers.push(...root.findAllWithCriteria({ types: ['TEXT'] }).filter(layer => layer.name.trim() === name));
+    }
+    return layers;
+}
+// Binding targets offered for the selected nodes, plus a suggested binding for each column by name
+function collectDataBindingOptions(nodes, columns) {
+    const propertyOptions = new Map();
+    const layerOptions = new Map();
+    for (const node of nodes) {
+        for (const { instance, path } of collectPopulateInstances(node)) {
+            const properties = instance.componentProperties || {};
+            for (const key of Object.keys(properties)) {
+                const label = `${key.split('#')[0]} (${properties[key].type.toLowerCase().replace('_', ' ')})`;
+                propertyOptions.set(`property:${path}|${key}`, path ? `${label} on "${instance.name}"` : label);
+            }
+        }
+        const textLayers = node.type === 'TEXT' ? [node] : [];
+        if ('findAllWithCriteria' in node)
+            textLayers.push(...node.findAllWithCriteria({ types: ['TEXT'] }));
+        for (const layer of textLayers) {
+            layerOptions.set(`layer:${layer.name.trim()}`, `Text layer "${layer.name.trim()}"`);
+        }
+    }
+    const options = [...propertyOptions, ...layerOptions].map(([key, label]) => ({ key, label }));
+    const suggestions = {};
+    for (const column of columns) {
+        const match = options.find(option => normalizeColumnName(getDataBindingName(option.key)) === normalizeColumnName(column));
+        if (match)
+            suggestions[column] = match.key;
+    }
+    return { options, suggestions };
+}
+// Property or layer name a binding shows in reports and is suggested for
+function getDataBindingName(binding) {
+    const target = binding.slice(binding.indexOf(':') + 1);
+    return binding.indexOf('property:') === 0 ? target.slice(target.indexOf('|') + 1).split('#')[0] : target;
+}
+function postDataTable() {
+    if (!loadedDataTable)
+        return;
+    const { options, suggestions } = collectDataBindingOptions(figma.currentPage.selection, loadedDataTable.columns);
+    figma.ui.postMessage({
+        type: 'data-table',
+        fileName: loadedDataTable.fileName,
+        columns: loadedDataTable.columns,
+        rowCount: loadedDataTable.rows.length,
+        firstRow: loadedDataTable.rows[0],
+        options,
+        suggestions
+    });
+}
+function parseBooleanCell(value) {
+    if (typeof value === 'boolean')
+        return value;
+    const text = value === null ? '' : String(value).trim().toLowerCase();
+    if (['true', 'yes', 'y', '1', 'x', 'on'].indexOf(text) !== -1)
+        return true;
+    if (['false', 'no', 'n', '0', '', 'off'].indexOf(text) !== -1)
+        return false;
+    return null;
+}
+// Instance swap cells name a component: by node ID, by name ("Icon" or "Icons / Arrow"), or by published key
+function resolveSwapComponentId(value, componentsByName) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const node = yield figma.getNodeByIdAsync(value);
+        if (node && node.type === 'COMPONENT')
+            return node.id;
+        const localId = (yield componentsByName()).get(value.trim().toLowerCase());
+        if (localId)
+            return localId;
+        if (/^[0-9a-f]{40}$/i.test(value.trim())) {
+            try {
+                return (yield figma.importComponentByKeyAsync(value.trim())).id;
+            }
+            catch (_err) {
                 return null;
             }
-            // Collect actual overrides by comparing with main component
-            function collectOverrides(instanceNode) {
-                // Performance optimization: Use cached node collection
-                const allNodes = collectAllNodesWithCache(instanceNode);
-                for (const node of allNodes) {
-                    try {
-                        // Build hierarchy path RELATIVE TO INSTANCE ROOT
-                        const hierarchyPath = buildInternalHierarchyPath(node, instanceNode);
-                        const siblingIndex = getSiblingIndex(node);
-                        const uniqueSignature = createUniqueSignature(node, instanceNode, hierarchyPath, siblingIndex);
-                        // Find corresponding node in main component (mainComponent is guaranteed to exist here)
-                        const defaultNode = findCorrespondingNode(node, hierarchyPath, siblingIndex);
-                        if (defaultNode) {
-                            // Detect overrides by comparison
-                            const overrideData = detectOverrides(node, defaultNode);
-                            if (overrideData) {
-                                const override = Object.assign({ nodeId: node.id, nodeName: node.name, nodeType: node.type, hierarchyPath,
-                                    siblingIndex,
-                                    uniqueSignature }, overrideData);
-                                overrides.push(override);
-                            }
-                        }
-                        else {
-                            // 🔄 COMPREHENSIVE FALLBACK: Capture current state when comparison fails
-                            // This ensures overrides are preserved even if we can't find the default state
-                            const fallbackOverrideData = {};
-                            let hasFallbackData = false;
-                            // FALLBACK FOR NESTED INSTANCES
-                            if (node.type === 'INSTANCE') {
-                                const instNode = node;
-                                // Capture variant properties if they exist
-                                if (instNode.variantProperties && Object.keys(instNode.variantProperties).length > 0) {
-                                    fallbackOverrideData.variantProperties = {};
-                                    for (const key in instNode.variantProperties) {
-                                        fallbackOverrideData.variantProperties[key] = String(instNode.variantProperties[key]);
-                                    }
-                                    hasFallbackData = true;
-                                }
-                                // Capture component properties if they exist
-                                if (instNode.componentProperties && Object.keys(instNode.componentProperties).length > 0) {
-                                    try {
-                                        fallbackOverrideData.componentProperties = JSON.parse(JSON.stringify(instNode.componentProperties));
-                                        hasFallbackData = true;
-                                    }
-                                    catch (err) {
-                                        // Skip non-serializable component properties
-                                    }
-                                }
-                            }
-                            // FALLBACK FOR TEXT NODES
-                            if (node.type === 'TEXT') {
-                                const textNode = node;
-                                try {
-                                    // Capture text content (most common override)
-                                    if (textNode.characters && textNode.characters.trim() !== '') {
-                                        fallbackOverrideData.characters = textNode.characters;
-                                        hasFallbackData = true;
-                                    }
-                                    // Capture font properties if different from default
-                                    if (textNode.fontName && textNode.fontName !== figma.mixed) {
-                                        try {
-                                            fallbackOverrideData.fontName = cloneFontName(textNode.fontName);
-                                            hasFallbackData = true;
-                                        }
-                                        catch (err) { }
-                                    }
-                                    if (typeof textNode.fontSize === 'number') {
-                                        fallbackOverrideData.fontSize = textNode.fontSize;
-                                        hasFallbackData = true;
-                                    }
-                                    if (textNode.fills && textNode.fills !== figma.mixed) {
-                                        try {
-                                            fallbackOverrideData.fills = clonePaintArray(textNode.fills);
-                                            hasFallbackData = true;
-                                        }
-                                        catch (err) { }
-                                    }
-                                }
-                                catch (err) {
-                                    // Skip text capture errors
-                                }
-                            }
-                            // FALLBACK FOR VISUAL PROPERTIES
-                            if ('opacity' in node && node.opacity !== 1) {
-                                fallbackOverrideData.opacity = node.opacity;
-                                hasFallbackData = true;
-                            }
-                            if ('visible' in node && !node.visible) {
-                                fallbackOverrideData.visible = node.visible;
-                                hasFallbackData = true;
-                            }
-                            // FALLBACK FOR SHAPE FILLS (for node types that can have fills)
-                            if ('fills' in node &&
-                                (node.type === 'VECTOR' || node.type === 'BOOLEAN_OPERATION' || node.type === 'RECTANGLE' || node.type === 'ELLIPSE' || node.type === 'POLYGON' || node.type === 'STAR' || node.type === 'LINE' || node.type === 'FRAME' || node.type === 'COMPONENT' || node.type === 'INSTANCE') &&
-                                node.fills) {
-                                try {
-                                    const fills = node.fills;
-                                    if (fills && fills.length > 0) {
-                                        fallbackOverrideData.layerFills = clonePaintArray(fills);
-                                        hasFallbackData = true;
-                                    }
-                                }
-                                catch (err) {
-                                    // Skip fallback fill capture errors
-                                }
-                            }
-                            // FALLBACK FOR STROKES
-                            if ('strokes' in node && node.strokes) {
-                                try {
-                                    const strokes = node.strokes;
-                                    if (strokes && strokes.length > 0) {
-                                        fallbackOverrideData.layerStrokes = clonePaintArray(strokes);
-                                        hasFallbackData = true;
-                                    }
-                                }
-                                catch (err) { }
-                            }
-                            if (hasFallbackData) {
-                                const fallbackOverride = Object.assign({ nodeId: node.id, nodeName: node.name, nodeType: node.type, hierarchyPath,
-                                    siblingIndex,
-                                    uniqueSignature }, fallbackOverrideData);
-                                overrides.push(fallbackOverride);
-                            }
-                        }
-                    }
-                    catch (err) {
-                        // Skip nodes with processing errors
+        }
+        return null;
+    });
+}
+// Set a bound property on the instance it was bound on; variant values are matched to the defined options.
+// Other instances with a property of the same name are left alone.
+function populateComponentProperty(root, target, value, componentsByName) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const issues = [];
+        const path = target.slice(0, target.indexOf('|'));
+        const key = target.slice(target.indexOf('|') + 1);
+        const label = `property "${key.split('#')[0]}"`;
+        const instance = findPopulateInstance(root, path);
+        const properties = instance ? instance.componentProperties || {} : {};
+        if (!instance || !properties[key]) {
+            return { count: 0, issues: [createPasteIssue(label, 'property-not-found')] };
+        }
+        const text = value === null ? '' : String(value);
+        let propertyValue = text;
+        if (properties[key].type === 'BOOLEAN') {
+            propertyValue = parseBooleanCell(value);
+            if (propertyValue === null)
+                issues.push(createPasteIssue(label, 'set-failed', `"${text}" is not a yes/no value`));
+        }
+        else if (properties[key].type === 'VARIANT') {
+            const mainComponent = yield instance.getMainComponentAsync();
+            const componentSet = mainComponent && mainComponent.parent && mainComponent.parent.type === 'COMPONENT_SET' ? mainComponent.parent : null;
+            const definition = componentSet ? componentSet.componentPropertyDefinitions[key] : undefined;
+            const options = definition && definition.variantOptions ? definition.variantOptions : [];
+            const option = options.find(candidate => candidate.toLowerCase() === text.trim().toLowerCase());
+            propertyValue = option || null;
+            if (!option)
+                issues.push(createPasteIssue(label, 'set-failed', `"${text}" is not one of ${options.join(', ')}`));
+        }
+        else if (properties[key].type === 'INSTANCE_SWAP') {
+            propertyValue = yield resolveSwapComponentId(text, componentsByName);
+            if (!propertyValue)
+                issues.push(createPasteIssue(label, 'set-failed', `no component named "${text}"`));
+        }
+        if (propertyValue !== null) {
+            issues.push(...applyComponentProperties(instance, { [key]: propertyValue }));
+        }
+        return { count: 1, issues };
+    });
+}
+function populateTextLayers(root, layerName, value) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const issues = [];
+        const layers = collectPopulateTextLayers(root, layerName);
+        for (const layer of layers) {
+            const fonts = layer.fontName === figma.mixed
+                ? layer.getRangeAllFontNames(0, layer.characters.length)
+                : [layer.fontName];
+            const missingFont = fonts.find(font => !isFontLoaded(font));
+            if (missingFont) {
+                yield loadOverrideFonts(fonts.map(font => ({ fontName: font })));
+            }
+            const unavailable = fonts.find(font => !isFontLoaded(font));
+            if (unavailable) {
+                issues.push(createPasteIssue('text', 'font-unavailable', `${unavailable.family} ${unavailable.style}`));
+                continue;
+            }
+            try {
+                layer.characters = value === null ? '' : String(value);
+            }
+            catch (err) {
+                issues.push(createPasteIssue('text', 'set-failed', err));
+            }
+        }
+        if (layers.length === 0)
+            issues.push(createPasteIssue(`layer "${layerName}"`, 'no-match'));
+        return { count: layers.length, issues };
+    });
+}
+// Apply one row to a node. Properties go first, since variant and swap changes replace the layers text is written to.
+function populateNodeFromRow(root, row, bindings, componentsByName) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const columns = Object.keys(bindings).filter(column => bindings[column]);
+        columns.sort((a, b) => Number(bindings[a].indexOf('layer:') === 0) - Number(bindings[b].indexOf('layer:') === 0));
+        const reports = [];
+        for (const column of columns) {
+            const binding = bindings[column];
+            const target = binding.slice(binding.indexOf(':') + 1);
+            const name = getDataBindingName(binding);
+            const value = column in row ? row[column] : null;
+            const result = binding.indexOf('property:') === 0
+                ? yield populateComponentProperty(root, target, value, componentsByName)
+                : yield populateTextLayers(root, target, value);
+            reports.push({
+                nodeName: column,
+                properties: [binding.indexOf('property:') === 0 ? `property "${name}"` : `layer "${name}"`],
+                targetName: result.count > 1 ? `${result.count} layers` : undefined,
+                issues: result.issues
+            });
+        }
+        return reports;
+    });
+}
+// Place a duplicate of the template after the previous one: next in auto layout, otherwise stacked below
+function placeTemplateDuplicate(template, previous, index) {
+    const duplicate = template.clone();
+    const parent = template.parent;
+    if (parent && 'insertChild' in parent) {
+        parent.insertChild(parent.children.indexOf(previous) + 1, duplicate);
+        const autoLayout = 'layoutMode' in parent && parent.layoutMode !== 'NONE';
+        if (!autoLayout) {
+            duplicate.x = template.x;
+            duplicate.y = template.y + (template.height + 24) * (index + 1);
+        }
+    }
+    return duplicate;
+}
+const OVERRIDE_CATEGORY_FIELDS = {
+    text: 'characters',
+    font: 'fontName',
+    fontSize: 'fontSize',
+    textFills: 'fills',
+    textStyles: 'textSegments',
+    opacity: 'opacity',
+    visibility: 'visible',
+    layerFills: 'layerFills',
+    layerStrokes: 'layerStrokes',
+    geometry: 'geometry',
+    layout: 'layout',
+    effects: 'effects',
+    blendMode: 'blendMode',
+    variantProperties: 'variantProperties',
+    componentProperties: 'componentProperties',
+    swaps: 'swapComponent',
+    styles: 'styleBindings',
+    variables: 'variableBindings'
+};
+const ALL_OVERRIDE_CATEGORIES = Object.keys(OVERRIDE_CATEGORY_FIELDS);
+// Accept the category list sent by the UI, defaulting to everything when none is given
+function parseOverrideCategories(value) {
+    if (!Array.isArray(value))
+        return ALL_OVERRIDE_CATEGORIES;
+    return ALL_OVERRIDE_CATEGORIES.filter(category => value.indexOf(category) !== -1);
+}
+// Build the payload that will actually be pasted: drop unticked overrides, strip disabled
+// categories, and discard overrides that have nothing left to apply
+function filterPastePayload(data, categories, excludedOverrides) {
+    const disabledFields = ALL_OVERRIDE_CATEGORIES
+        .filter(category => categories.indexOf(category) === -1)
+        .map(category => OVERRIDE_CATEGORY_FIELDS[category]);
+    const capturedFields = ALL_OVERRIDE_CATEGORIES.map(category => OVERRIDE_CATEGORY_FIELDS[category]);
+    const overrides = [];
+    data.overrides.forEach((override, index) => {
+        if (excludedOverrides.indexOf(index) !== -1)
+            return;
+        const filtered = Object.assign({}, override);
+        for (const field of disabledFields) {
+            delete filtered[field];
+        }
+        if (capturedFields.some(field => filtered[field] !== undefined)) {
+            overrides.push(filtered);
+        }
+    });
+    return Object.assign(Object.assign({}, data), { variantProperties: categories.indexOf('variantProperties') !== -1 ? data.variantProperties : {}, componentProperties: categories.indexOf('componentProperties') !== -1 ? data.componentProperties : {}, overrides });
+}
+// Filter every source of a slot. Overrides are unticked from the first source's list, so the same
+// layers are left out of the other sources by signature.
+function filterSlotPayloads(slot, categories, excludedOverrides) {
+    const excludedSignatures = excludedOverrides
+        .filter(index => index >= 0 && index < slot.data.overrides.length)
+        .map(index => slot.data.overrides[index].uniqueSignature);
+    return getSlotSources(slot).map(source => {
+        const excluded = [];
+        source.overrides.forEach((override, index) => {
+            if (excludedSignatures.indexOf(override.uniqueSignature) !== -1)
+                excluded.push(index);
+        });
+        return filterPastePayload(source, categories, excluded);
+    });
+}
+// Source index for each target: cycling in order, or dealt from a freshly shuffled
+// deck each round so every source is still used about equally
+function distributeSources(sourceCount, targetCount, distribution) {
+    const assigned = [];
+    let deck = [];
+    while (assigned.length < targetCount) {
+        if (deck.length === 0) {
+            deck = Array.from({ length: sourceCount }, (_, index) => index);
+            if (distribution === 'shuffle') {
+                for (let index = deck.length - 1; index > 0; index--) {
+                    const swapIndex = Math.floor(Math.random() * (index + 1));
+                    [deck[index], deck[swapIndex]] = [deck[swapIndex], deck[index]];
+                }
+            }
+        }
+        assigned.push(deck.shift());
+    }
+    return assigned;
+}
+// The shuffle the last preview showed, until a paste onto the same targets uses it
+let previewedShuffle = null;
+// Source index for each target of a paste or its preview. A previewed shuffle is kept until the
+// next paste, so that paste does what the preview showed; any later paste shuffles afresh.
+function assignPasteSources(slot, targets, distribution, forPreview) {
+    const sourceCount = getSlotSources(slot).length;
+    const previewed = previewedShuffle;
+    if (!forPreview)
+        previewedShuffle = null;
+    if (distribution !== 'shuffle') {
+        return distributeSources(sourceCount, targets.length, distribution);
+    }
+    const targetIds = targets.map(target => target.id);
+    if (previewed && previewed.slotId === slot.id && previewed.targetIds.join() === targetIds.join() &&
+        previewed.sourceIndexes.every(index => index < sourceCount)) {
+        return previewed.sourceIndexes;
+    }
+    const sourceIndexes = distributeSources(sourceCount, targets.length, 'shuffle');
+    if (forPreview)
+        previewedShuffle = { slotId: slot.id, targetIds, sourceIndexes };
+    return sourceIndexes;
+}
+// Read the content of the text file from Firebase Storage
+function readRemoteTextFile(url) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const response = yield fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch data: ${response.statusText}`);
+            }
+            const text = yield response.text();
+            return text.split('\n').filter((line) => line.trim() !== '');
+        }
+        catch (error) {
+            console.error('Error reading text file:', error);
+            figma.notify('Failed to fetch text file data');
+            return [];
+        }
+    });
+}
+// This shows the HTML page in "ui.html".
+figma.showUI(__html__, { themeColors: true, width: 310, height: 600 });
+// Listen for selection changes to update component button states
+figma.on('selectionchange', () => __awaiter(void 0, void 0, void 0, function* () {
+    yield updateComponentButtonStates();
+    // Binding targets and the rename preview follow the selection
+    postDataTable();
+    yield postRenamePreview(true);
+}));
+// Restore saved override slots and layer mappings, then initialize button states
+Promise.all([loadOverrideSlots(), loadLayerMappings(), loadFontSubstitutions()]).then(() => updateComponentButtonStates());
+// 🔄 Button state management
+function updateComponentButtonStates() {
+    return __awaiter(this, void 0, void 0, function* () {
+        const selection = figma.currentPage.selection;
+        // Copy: one or more instances selected
+        const canCopy = selection.length > 0 && selection.every(node => node.type === 'INSTANCE');
+        // Paste: selected slot has data and instances selected
+        const selectedSlot = getSelectedSlot();
+        const selectedData = selectedSlot ? selectedSlot.data : null;
+        const canPaste = !!selectedData &&
+            selection.length > 0 &&
+            selection.every(node => node.type === 'INSTANCE');
+        figma.ui.postMessage({
+            type: 'update-component-buttons',
+            canCopy,
+            canPaste,
+            canReset: selection.length > 0 && selection.every(node => node.type === 'INSTANCE'),
+            canRevert: lastPasteSnapshots.length > 0,
+            canPopulate: !!loadedDataTable && selection.length > 0,
+            hasFontSubstitutions: Object.keys(fontSubstitutions).length > 0,
+            selectedSlotId,
+            selectedSlotTimestamp: selectedData ? selectedData.timestamp : null,
+            selectedSourceCount: selectedSlot ? getSlotSources(selectedSlot).length : 0,
+            selectedOverrides: selectedData ? selectedData.overrides.map((override, index) => ({
+                index,
+                nodeName: override.nodeName,
+                nodeType: override.nodeType,
+                properties: describeOverrideProperties(override)
+            })) : [],
+            slots: overrideSlots.map(slot => ({
+                id: slot.id,
+                name: slot.name,
+                componentName: slot.data.sourceComponentName,
+                overrideCount: slot.data.overrides.length,
+                sourceCount: getSlotSources(slot).length,
+                timestamp: slot.data.timestamp
+            }))
+        });
+    });
+}
+const CASE_SEPARATOR_PATTERN = /[\s_\-./\\|:;,!?¡¿()[\]{}<>"“”«»#*+=~^@&%$`…،؛؟]/;
+const APOSTROPHE_PATTERN = /['’]/;
+// Small words Title Case leaves in lower case unless they open or close the text
+const TITLE_CASE_MINOR_WORDS = ['a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'in', 'nor', 'of', 'on', 'or', 'per', 'the', 'to', 'via', 'vs'];
+function getCharKind(char) {
+    if (/[0-9\u0660-\u0669\u06f0-\u06f9]/.test(char))
+        return 'digit';
+    // Apostrophes inside a word and combining accents never start a new word
+    if (APOSTROPHE_PATTERN.test(char) || /[\u0300-\u036f\u064b-\u065f\u0670]/.test(char))
+        return 'joiner';
+    if (char !== char.toLowerCase())
+        return 'upper';
+    if (char !== char.toUpperCase())
+        return 'lower';
+    return 'caseless';
+}
+// fooBar · 15Px · APIKey (the last capital of an acronym starts the next word) · latinعربي
+function startsNewWord(previous, char, next) {
+    const previousKind = getCharKind(previous);
+    const kind = getCharKind(char);
+    if (previousKind === 'joiner' || kind === 'joiner')
+        return false;
+    if (kind === 'upper') {
+        return previousKind === 'lower' || previousKind === 'digit' || previousKind === 'caseless' ||
+            (previousKind === 'upper' && next !== undefined && getCharKind(next) === 'lower');
+    }
+    if (kind === 'caseless')
+        return previousKind === 'upper' || previousKind === 'lower';
+    return kind === 'lower' && previousKind === 'caseless';
+}
+function splitCaseParts(text) {
+    const chars = Array.from(text);
+    const parts = [];
+    let word = '';
+    const pushSeparator = (separator) => {
+        if (word)
+            parts.push({ text: word, isWord: true });
+        word = '';
+        const last = parts[parts.length - 1];
+        if (last && !last.isWord) {
+            last.text += separator;
+        }
+        else if (parts.length > 0 || separator) {
+            parts.push({ text: separator, isWord: false });
+        }
+    };
+    chars.forEach((char, index) => {
+        const previous = chars[index - 1];
+        const next = chars[index + 1];
+        // An apostrophe only belongs to a word when it sits between two letters: don't, it’s
+        const isSeparator = CASE_SEPARATOR_PATTERN.test(char) ||
+            (APOSTROPHE_PATTERN.test(char) && !(word && next !== undefined && !CASE_SEPARATOR_PATTERN.test(next) && !APOSTROPHE_PATTERN.test(next)));
+        if (isSeparator) {
+            pushSeparator(char);
+        }
+        else {
+            if (word && startsNewWord(previous, char, next))
+                pushSeparator('');
+            word += char;
+        }
+    });
+    if (word)
+        parts.push({ text: word, isWord: true });
+    return parts;
+}
+function capitalizeWord(word) {
+    const [first, ...rest] = Array.from(word);
+    return first.toUpperCase() + rest.join('').toLowerCase();
+}
+function isAcronym(word) {
+    return Array.from(word).length > 1 && word === word.toUpperCase() && word !== word.toLowerCase();
+}
+// Identifier styles keep only the words; prose styles keep punctuation and spacing as typed
+function convertCase(text, caseStyle) {
+    const parts = splitCaseParts(text);
+    const words = parts.filter(part => part.isWord).map(part => part.text.replace(/['’]/g, ''));
+    switch (caseStyle) {
+        case 'camelCase':
+            return words.map((word, index) => index === 0 ? word.toLowerCase() : capitalizeWord(word)).join('');
+        case 'PascalCase':
+            return words.map(capitalizeWord).join('');
+        case 'snake_case':
+            return words.map(word => word.toLowerCase()).join('_');
+        case 'kebab-case':
+            return words.map(word => word.toLowerCase()).join('-');
+        case 'Train-Case':
+            return words.map(capitalizeWord).join('-');
+        case 'MACRO_CASE':
+            return words.map(word => word.toUpperCase()).join('_');
+        case 'dot.case':
+            return words.map(word => word.toLowerCase()).join('.');
+        case 'path/case':
+            return words.map(word => word.toLowerCase()).join('/');
+        case 'Title Case':
+        case 'Start Case':
+        case 'Sentence case':
+        case 'lower case':
+        case 'UPPER CASE':
+            return convertProseCase(parts, caseStyle, text !== text.toUpperCase());
+        default:
+            return text;
+    }
+}
+// Word boundaries without a separator and underscores become spaces; acronyms stay upper case
+// unless the whole text was shouted
+function convertProseCase(parts, caseStyle, keepAcronyms) {
+    const wordParts = parts.filter(part => part.isWord);
+    let startsSentence = true;
+    return parts.map(part => {
+        if (!part.isWord) {
+            if (/[.!?؟]/.test(part.text))
+                startsSentence = true;
+            return part.text === '' ? ' ' : part.text.replace(/_+/g, ' ');
+        }
+        const word = part.text;
+        const isFirst = part === wordParts[0];
+        const isLast = part === wordParts[wordParts.length - 1];
+        const opensSentence = startsSentence;
+        startsSentence = false;
+        if (caseStyle === 'lower case')
+            return word.toLowerCase();
+        if (caseStyle === 'UPPER CASE')
+            return word.toUpperCase();
+        if (keepAcronyms && isAcronym(word))
+            return word;
+        if (caseStyle === 'Sentence case')
+            return opensSentence ? capitalizeWord(word) : word.toLowerCase();
+        if (caseStyle === 'Title Case' && !isFirst && !isLast && TITLE_CASE_MINOR_WORDS.indexOf(word.toLowerCase()) !== -1) {
+            return word.toLowerCase();
+        }
+        return capitalizeWord(word);
+    }).join('');
+}
+// $& · $1 · $parent · $type · $size · $component · $text · $variant(Property) · $n, $nnn(start)
+const RENAME_TOKEN_PATTERN = /\$(&|[1-9]|parent|type|size|component|text|variant\(([^)]*)\)|(n+)(?:\((\d+)\))?)/g;
+// Component set name for a variant, otherwise the main component's own name
+function resolveRenameComponentName(node) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const component = node.type === 'INSTANCE' ? yield node.getMainComponentAsync() : node.type === 'COMPONENT' ? node : null;
+        if (!component)
+            return '';
+        return component.parent && component.parent.type === 'COMPONENT_SET' ? component.parent.name : component.name;
+    });
+}
+// BOOLEAN_OPERATION → "Boolean operation"
+function formatNodeType(type) {
+    const words = type.toLowerCase().replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+// Expand the tokens of a template for one layer; $& stands for the text being replaced, $1… for its groups
+function expandRenameTokens(template, context, replacedText, groups = []) {
+    const node = context.node;
+    return template.replace(RENAME_TOKEN_PATTERN, (token, name, variantName, digits, start) => {
+        if (name === '&')
+            return replacedText;
+        if (/^[1-9]$/.test(name))
+            return groups[Number(name) - 1] || '';
+        if (name === 'parent')
+            return node.parent ? node.parent.name : '';
+        if (name === 'type')
+            return formatNodeType(node.type);
+        if (name === 'size')
+            return 'width' in node ? `${Math.round(node.width)}×${Math.round(node.height)}` : '';
+        if (name === 'component')
+            return context.componentName;
+        if (name === 'text')
+            return node.type === 'TEXT' ? node.characters : '';
+        if (variantName !== undefined) {
+            const variants = node.type === 'INSTANCE' || node.type === 'COMPONENT' ? node.variantProperties : null;
+            const property = variantName.trim();
+            return variants && property in variants ? variants[property] : '';
+        }
+        // $n counts from 1, or from the start in brackets; each extra n pads with a leading zero
+        let number = String((start !== undefined ? parseInt(start, 10) : 1) + context.index);
+        while (digits && number.length < digits.length) {
+            number = `0${number}`;
+        }
+        return number;
+    });
+}
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+// Compile the match field for the chosen mode. Globs match the whole name, and each
+// wildcard is a capture group so $1, $2 can reuse what it matched.
+function buildRenameMatcher(pattern, mode, ignoreCase) {
+    if (!pattern)
+        return { matcher: null };
+    const flags = ignoreCase ? 'gi' : 'g';
+    if (mode === 'regex') {
+        try {
+            return { matcher: new RegExp(pattern, flags) };
+        }
+        catch (error) {
+            return { matcher: null, error: error instanceof Error ? error.message : 'Invalid regular expression' };
+        }
+    }
+    if (mode === 'glob') {
+        const source = pattern.split('').map(char => char === '*' ? '(.*)' : char === '?' ? '(.)' : escapeRegExp(char)).join('');
+        return { matcher: new RegExp(`^${source}$`, flags) };
+    }
+    return { matcher: new RegExp(escapeRegExp(pattern), flags) };
+}
+function parseRenameMatchMode(mode) {
+    return mode === 'regex' || mode === 'glob' ? mode : 'literal';
+}
+// The ranges a rename replaces, before any case style. Without a match pattern the whole text is
+// replaced; text the pattern doesn't match is left as it is.
+function collectRenameEdits(originalText, matcher, renameTo, context) {
+    if (!matcher) {
+        return renameTo && renameTo.trim() !== ''
+            ? [{ start: 0, end: originalText.length, text: expandRenameTokens(renameTo, context, originalText) }]
+            : [];
+    }
+    const edits = [];
+    originalText.replace(matcher, (matched, ...rest) => {
+        // Replacer arguments end with the offset and the whole string, plus named groups when the pattern has any
+        const offsetIndex = typeof rest[rest.length - 1] === 'string' ? rest.length - 2 : rest.length - 3;
+        const groups = rest.slice(0, offsetIndex).map(group => typeof group === 'string' ? group : '');
+        const start = rest[offsetIndex];
+        edits.push({ start, end: start + matched.length, text: expandRenameTokens(renameTo, context, matched, groups) });
+        return matched;
+    });
+    return edits;
+}
+function applyTextEdits(text, edits) {
+    let result = text;
+    for (let index = edits.length - 1; index >= 0; index--) {
+        const edit = edits[index];
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+// Advanced rename functionality with match/replace support
+function applyRename(originalText, matcher, renameTo, caseStyle, context) {
+    let newText = applyTextEdits(originalText, collectRenameEdits(originalText, matcher, renameTo, context));
+    // An empty case style keeps the case as typed
+    if (caseStyle) {
+        newText = convertCase(newText, caseStyle);
+    }
+    return newText;
+}
+const RENAMEABLE_NODE_TYPES = [
+    "FRAME", "GROUP", "RECTANGLE", "ELLIPSE", "TEXT", "VECTOR", "STAR",
+    "POLYGON", "LINE", "COMPONENT", "INSTANCE", "COMPONENT_SET", "SLICE", "BOOLEAN_OPERATION"
+];
+// Node types behind each type filter; types outside every filter (slices) are always included
+const RENAME_TYPE_FILTER_TYPES = {
+    text: ['TEXT'],
+    frames: ['FRAME', 'GROUP'],
+    components: ['COMPONENT', 'COMPONENT_SET'],
+    instances: ['INSTANCE'],
+    shapes: ['RECTANGLE', 'ELLIPSE', 'POLYGON', 'STAR', 'LINE'],
+    vectors: ['VECTOR', 'BOOLEAN_OPERATION']
+};
+const ALL_RENAME_TYPE_FILTERS = Object.keys(RENAME_TYPE_FILTER_TYPES);
+// Last preview the UI asked for, recomputed when the selection or names change
+let renamePreviewRequest = null;
+function parseRenameOptions(msg) {
+    const scope = msg.scope === 'descendants' || msg.scope === 'page' ? msg.scope : 'selection';
+    const typeFilters = Array.isArray(msg.typeFilters)
+        ? ALL_RENAME_TYPE_FILTERS.filter(filter => msg.typeFilters.indexOf(filter) !== -1)
+        : ALL_RENAME_TYPE_FILTERS;
+    return {
+        mode: msg.mode === 'Text Mode' ? 'Text Mode' : 'Layer Mode',
+        scope,
+        typeFilters,
+        skipLocked: !!msg.skipLocked,
+        skipHidden: !!msg.skipHidden,
+        matchPattern: typeof msg.matchPattern === 'string' ? msg.matchPattern : '',
+        matchMode: parseRenameMatchMode(msg.matchMode),
+        ignoreCase: !!msg.ignoreCase,
+        renameTo: typeof msg.renameTo === 'string' ? msg.renameTo : '',
+        caseStyle: typeof msg.caseStyle === 'string' ? msg.caseStyle : ''
+    };
+}
+// Locked or hidden itself or through any of its parents
+function isLockedOrHiddenLayer(node, skipLocked, skipHidden) {
+    let current = node;
+    while (current && current.type !== 'PAGE' && current.type !== 'DOCUMENT') {
+        const layer = current;
+        if ((skipLocked && layer.locked) || (skipHidden && !layer.visible))
+            return true;
+        current = current.parent;
+    }
+    return false;
+}
+// Layers in scope, in document order below each selected layer, narrowed by mode, type and lock/visibility
+function collectRenameTargets(options, selection) {
+    let candidates = [];
+    if (options.scope === 'page') {
+        candidates = figma.currentPage.findAll();
+    }
+    else if (options.scope === 'descendants') {
+        const seen = new Set();
+        for (const node of selection) {
+            for (const candidate of [node, ...('findAll' in node ? node.findAll() : [])]) {
+                if (!seen.has(candidate.id)) {
+                    seen.add(candidate.id);
+                    candidates.push(candidate);
+                }
+            }
+        }
+    }
+    else {
+        candidates = selection.slice();
+    }
+    const excludedTypes = options.mode === 'Text Mode' ? [] : [].concat(...ALL_RENAME_TYPE_FILTERS.filter(filter => options.typeFilters.indexOf(filter) === -1).map(filter => RENAME_TYPE_FILTER_TYPES[filter]));
+    return candidates.filter(node => (options.mode === 'Text Mode' ? node.type === 'TEXT' : RENAMEABLE_NODE_TYPES.indexOf(node.type) !== -1) &&
+        excludedTypes.indexOf(node.type) === -1 &&
+        !isLockedOrHiddenLayer(node, options.skipLocked, options.skipHidden));
+}
+// Work out every new name without touching the document
+function planRename(options, targets, excludedNodeIds) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const { matcher, error } = buildRenameMatcher(options.matchPattern, options.matchMode, options.ignoreCase);
+        if (error)
+            return { rows: [], error };
+        // Only $component needs the main component, which is an async lookup per layer
+        const componentNames = options.mode === 'Layer Mode' && options.renameTo.indexOf('$component') !== -1
+            ? yield Promise.all(targets.map(resolveRenameComponentName))
+            : targets.map(() => '');
+        const rows = targets.map((node, index) => {
+            const oldName = options.mode === 'Text Mode' && node.type === 'TEXT' ? node.characters : node.name;
+            const context = { node, index, componentName: componentNames[index] };
+            const newName = applyRename(oldName, matcher, options.renameTo, options.caseStyle, context);
+            return { nodeId: node.id, oldName, newName, edits: collectRenameEdits(oldName, matcher, options.renameTo, context) };
+        });
+        flagRenameConflicts(options, targets, rows, excludedNodeIds);
+        return { rows };
+    });
+}
+// Flag names that end up empty and, for layers, names a sibling will also have after the rename
+function flagRenameConflicts(options, targets, rows, excludedNodeIds) {
+    const finalNames = new Map();
+    rows.forEach(row => {
+        if (excludedNodeIds.indexOf(row.nodeId) === -1)
+            finalNames.set(row.nodeId, row.newName);
+    });
+    rows.forEach((row, index) => {
+        if (row.newName.trim() === '') {
+            row.issue = 'empty';
+            return;
+        }
+        const parent = targets[index].parent;
+        if (options.mode !== 'Layer Mode' || row.newName === row.oldName || !parent)
+            return;
+        const clashes = parent.children.some(sibling => { var _a; return sibling.id !== row.nodeId && ((_a = finalNames.get(sibling.id)) !== null && _a !== void 0 ? _a : sibling.name) === row.newName; });
+        if (clashes)
+            row.issue = 'duplicate';
+    });
+}
+// A page-wide rename doesn't depend on the selection, so selection changes leave its preview as it is
+function postRenamePreview() {
+    return __awaiter(this, arguments, void 0, function* (onSelectionChange = false) {
+        if (!renamePreviewRequest)
+            return;
+        const { options, excludedNodeIds } = renamePreviewRequest;
+        if (onSelectionChange && options.scope === 'page')
+            return;
+        try {
+            const targets = collectRenameTargets(options, figma.currentPage.selection);
+            const plan = yield planRename(options, targets, excludedNodeIds);
+            figma.ui.postMessage({
+                type: 'rename-preview',
+                error: plan.error || null,
+                targetCount: targets.length,
+                rows: plan.rows
+                    .filter(row => row.newName !== row.oldName || row.issue)
+                    .map(row => ({ nodeId: row.nodeId, oldName: row.oldName, newName: row.newName, issue: row.issue }))
+            });
+        }
+        catch (err) {
+            console.error('❌ Rename preview failed:', err);
+            figma.ui.postMessage({
+                type: 'rename-preview',
+                error: `Preview failed: ${err instanceof Error ? err.message : String(err)}`,
+                targetCount: 0,
+                rows: []
+            });
+        }
+    });
+}
+// ✂️ STYLE-PRESERVING TEXT REPLACE - Edit characters in place so styled ranges around them survive
+// Replace one range; the new characters take the style of the first one replaced,
+// or of the character before when nothing is replaced
+function spliceTextNode(textNode, start, end, text) {
+    if (text.length > 0) {
+        textNode.insertCharacters(start, text, start < end || start === 0 ? 'AFTER' : 'BEFORE');
+    }
+    if (end > start) {
+        textNode.deleteCharacters(start + text.length, end + text.length);
+    }
+}
+// Bring the text to `target` touching as little as possible: matching ends stay as they are, and a
+// same-length middle (a case change) is rewritten one run of changed characters at a time
+function rewriteTextNode(textNode, target) {
+    const current = textNode.characters;
+    let prefix = 0;
+    while (prefix < current.length && prefix < target.length && current[prefix] === target[prefix])
+        prefix++;
+    let suffix = 0;
+    while (suffix < current.length - prefix && suffix < target.length - prefix &&
+        current[current.length - 1 - suffix] === target[target.length - 1 - suffix])
+        suffix++;
+    const end = current.length - suffix;
+    if (end !== target.length - suffix) {
+        spliceTextNode(textNode, prefix, end, target.slice(prefix, target.length - suffix));
+        return;
+    }
+    let index = prefix;
+    while (index < end) {
+        if (current[index] === target[index]) {
+            index++;
+            continue;
+        }
+        let runEnd = index;
+        while (runEnd < end && current[runEnd] !== target[runEnd])
+            runEnd++;
+        spliceTextNode(textNode, index, runEnd, target.slice(index, runEnd));
+        index = runEnd;
+    }
+}
+// Apply a planned Text Mode rename, loading every font the layer uses first
+function replaceTextRanges(textNode, edits, finalText) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield loadTextNodeFonts(textNode);
+        for (let index = edits.length - 1; index >= 0; index--) {
+            spliceTextNode(textNode, edits[index].start, edits[index].end, edits[index].text);
+        }
+        if (textNode.characters !== finalText) {
+            rewriteTextNode(textNode, finalText);
+        }
+    });
+}
+// Set layer names planned by the rename or accepted from the naming lint
+function renameLayers(renames) {
+    return __awaiter(this, void 0, void 0, function* () {
+        let renamed = 0;
+        for (const rename of renames) {
+            const node = yield figma.getNodeByIdAsync(rename.nodeId);
+            if (node && node.type !== 'DOCUMENT' && node.type !== 'PAGE') {
+                node.name = rename.newName;
+                renamed++;
+            }
+        }
+        return renamed;
+    });
+}
+// Names Figma gives new layers: "Frame 412", "Rectangle 7", "Group 3"
+const DEFAULT_LAYER_NAME_PATTERN = /^(Frame|Group|Rectangle|Ellipse|Vector|Line|Polygon|Star|Text|Component|Instance|Slice|Section|Image|Union|Subtract|Intersect|Exclude)( \d+)?$/;
+// Conventions sibling names are compared against; ties go to the earlier style
+const NAME_LINT_CASE_STYLES = ['Title Case', 'Sentence case', 'PascalCase', 'camelCase', 'kebab-case', 'snake_case'];
+const NAME_LINT_TEXT_LENGTH = 32;
+// Last lint the UI ran, repeated after its suggestions are applied
+let lastNameLintOptions = null;
+function followsCaseStyle(name, caseStyle) {
+    return convertCase(name, caseStyle) === name;
+}
+// The style most of these names already follow, once at least two agree
+function findSiblingCaseStyle(names) {
+    let sharedStyle = null;
+    let sharedCount = 1;
+    for (const style of NAME_LINT_CASE_STYLES) {
+        const count = names.filter(name => followsCaseStyle(name, style)).length;
+        if (count > sharedCount) {
+            sharedStyle = style;
+            sharedCount = count;
+        }
+    }
+    return sharedStyle;
+}
+function isInsideInstance(node) {
+    for (let current = node.parent; current; current = current.parent) {
+        if (current.type === 'INSTANCE')
+            return true;
+    }
+    return false;
+}
+// First line of the text, cut at a word boundary
+function summarizeLayerText(text) {
+    const line = text.split('\n').map(part => part.replace(/\s+/g, ' ').trim()).find(part => part !== '') || '';
+    if (line.length <= NAME_LINT_TEXT_LENGTH)
+        return line;
+    const cut = line.slice(0, NAME_LINT_TEXT_LENGTH);
+    return cut.lastIndexOf(' ') > 0 ? cut.slice(0, cut.lastIndexOf(' ')) : cut;
+}
+// A name from what the layer shows: its text, component and variant, image fill or auto-layout direction
+function suggestLayerName(node) {
+    return __awaiter(this, void 0, void 0, function* () {
+        if (node.type === 'TEXT') {
+            return summarizeLayerText(node.characters) || null;
+        }
+        if (node.type === 'INSTANCE') {
+            const componentName = yield resolveRenameComponentName(node);
+            const variants = node.variantProperties;
+            const values = variants ? Object.keys(variants).map(key => variants[key]) : [];
+            if (!componentName)
+                return null;
+            return values.length > 0 ? `${componentName} (${values.join(', ')})` : componentName;
+        }
+        if ('fills' in node && Array.isArray(node.fills) && node.fills.some(paint => paint.type === 'IMAGE' && paint.visible !== false)) {
+            return 'Image';
+        }
+        if (['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'POLYGON'].indexOf(node.type) !== -1 && node.width <= 48 && node.height <= 48) {
+            return 'Icon';
+        }
+        if (!('findOne' in node))
+            return null;
+        const textLayer = node.findOne(child => child.type === 'TEXT' && child.characters.trim() !== '');
+        const label = textLayer ? summarizeLayerText(textLayer.characters) : '';
+        const layoutMode = 'layoutMode' in node ? node.layoutMode : 'NONE';
+        const direction = layoutMode === 'HORIZONTAL' ? 'Row' : layoutMode === 'VERTICAL' ? 'Column' : '';
+        return [label, direction].filter(part => part !== '').join(' ') || null;
+    });
+}
+// Lint every layer in scope against its siblings. Layers inside instances are named by their
+// component and variant names by their properties, so neither is checked. Text layers named after their content keep
+// that name, so they are only checked for defaults and duplicates.
+function lintLayerNames(scope, caseStyle) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const layers = collectRenameTargets(parseRenameOptions({ mode: 'Layer Mode', scope }), figma.currentPage.selection)
+            .filter(node => !isInsideInstance(node) && !(node.parent && node.parent.type === 'COMPONENT_SET'));
+        const inScope = new Set(layers.map(node => node.id));
+        const parents = [];
+        for (const node of layers) {
+            if (node.parent && parents.indexOf(node.parent) === -1)
+                parents.push(node.parent);
+        }
+        const issues = [];
+        for (const parent of parents) {
+            const siblings = parent.children;
+            const styleOf = (node) => node.type !== 'TEXT' && !DEFAULT_LAYER_NAME_PATTERN.test(node.name);
+            const siblingStyle = caseStyle || findSiblingCaseStyle(siblings.filter(styleOf).map(node => node.name));
+            const seenNames = [];
+            const flagged = [];
+            for (const node of siblings) {
+                const reasons = [];
+                if (DEFAULT_LAYER_NAME_PATTERN.test(node.name))
+                    reasons.push('default');
+                if (seenNames.indexOf(node.name) !== -1)
+                    reasons.push('duplicate');
+                if (siblingStyle && styleOf(node) && !followsCaseStyle(node.name, siblingStyle))
+                    reasons.push('casing');
+                seenNames.push(node.name);
+                if (inScope.has(node.id) && reasons.length > 0)
+                    flagged.push({ node, reasons });
+            }
+            // Suggestions stay unique among the siblings that keep their names
+            const takenNames = siblings.filter(node => !flagged.some(entry => entry.node === node)).map(node => node.name);
+            for (const { node, reasons } of flagged) {
+                let suggestion = reasons.indexOf('casing') !== -1 && reasons.length === 1 ? node.name : yield suggestLayerName(node);
+                if (!suggestion && reasons.indexOf('default') === -1)
+                    suggestion = node.name;
+                if (suggestion) {
+                    const baseName = suggestion;
+                    const styled = (name) => siblingStyle ? convertCase(name, siblingStyle) : name;
+                    suggestion = styled(baseName);
+                    for (let copy = 2; takenNames.indexOf(suggestion) !== -1; copy++) {
+                        suggestion = styled(`${baseName} ${copy}`);
                     }
+                    takenNames.push(suggestion);
+                }
+                issues.push({ nodeId: node.id, name: node.name, reasons, suggestion: suggestion === node.name ? null : suggestion });
+            }
+        }
+        return { layerCount: layers.length, issues };
+    });
+}
+function postNameLint() {
+    return __awaiter(this, void 0, void 0, function* () {
+        if (!lastNameLintOptions)
+            return;
+        const { scope, caseStyle } = lastNameLintOptions;
+        const result = yield lintLayerNames(scope, caseStyle);
+        figma.ui.postMessage({ type: 'name-lint', scope, layerCount: result.layerCount, issues: result.issues });
+    });
+}
+// Functions to handle messages from the UI
+figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
+    // 🎯 COPY INSTANCE DATA - Override detection system
+    if (msg.type === 'copy-instance-data') {
+        const selection = figma.currentPage.selection;
+        if (selection.length === 0 || selection.some(node => node.type !== 'INSTANCE')) {
+            figma.notify('Please select one or more component instances');
+            yield updateComponentButtonStates();
+            return;
+        }
+        // Send immediate feedback that operation has started
+        figma.ui.postMessage({
+            type: 'operation-started',
+            operation: 'copy'
+        });
+        // Small delay to ensure UI updates are processed
+        yield new Promise(resolve => setTimeout(resolve, 10));
+        // 🔁 Several selected instances are captured together as the sources of one slot
+        const sourceInstances = selection;
+        let instance = sourceInstances[0];
+        try {
+            const captures = [];
+            for (instance of sourceInstances) {
+                // Get main component for comparison
+                const mainComponent = yield instance.getMainComponentAsync();
+                if (!mainComponent) {
+                    figma.notify(`${instance.name} has no main component`);
+                    yield updateComponentButtonStates();
+                    return;
+                }
+                // Send progress update
+                figma.ui.postMessage({
+                    type: 'operation-progress',
+                    operation: 'copy',
+                    message: 'Analyzing instance structure...'
+                });
+                const { data: copiedInstanceData, fallbackNodeIds } = yield captureInstanceData(instance, mainComponent);
+                const { variantProperties, componentProperties, overrides } = copiedInstanceData;
+                captures.push({ instance, mainComponent, data: copiedInstanceData, fallbackNodeIds });
+                // Debug: Log what we captured
+                console.log('📋 Copy Summary:', {
+                    componentName: mainComponent.name,
+                    variantProperties: Object.keys(variantProperties),
+                    componentProperties: Object.keys(componentProperties),
+                    totalOverrides: overrides.length,
+                    nestedInstances: overrides.filter(o => o.nodeType === 'INSTANCE').length,
+                    textOverrides: overrides.filter(o => o.nodeType === 'TEXT').length
+                });
+                // Debug: Log nested instance overrides specifically
+                const nestedInstanceOverrides = overrides.filter(o => o.nodeType === 'INSTANCE');
+                if (nestedInstanceOverrides.length > 0) {
+                    console.log('🔗 Nested Instance Overrides:', nestedInstanceOverrides.map(o => ({
+                        nodeName: o.nodeName,
+                        componentProperties: o.componentProperties ? Object.keys(o.componentProperties) : [],
+                        variantProperties: o.variantProperties ? Object.keys(o.variantProperties) : []
+                    })));
                 }
             }
-            // Collect overrides
-            // Reset the mainComponentSignatureMap before collecting overrides (in case of multiple copies)
-            mainComponentSignatureMap = null;
-            // Send progress update
-            figma.ui.postMessage({
-                type: 'operation-progress',
+            // Store the copied data in a named slot
+            const first = captures[0];
+            const componentNames = captures
+                .map(capture => capture.mainComponent.name)
+                .filter((name, index, names) => names.indexOf(name) === index);
+            const defaultSlotName = captures.length === 1
+                ? `${first.mainComponent.name} – ${first.instance.name}`
+                : `${componentNames.join(', ')} – ${captures.length} sources`;
+            const slotName = typeof msg.slotName === 'string' && msg.slotName.trim() !== ''
+                ? msg.slotName.trim()
+                : defaultSlotName;
+            yield storeOverrideSlot(slotName, first.data, captures.length > 1 ? captures.map(capture => capture.data) : undefined);
+            // 📋 Report what was captured, flagging layers that had nothing to compare against
+            postOperationReport({
                 operation: 'copy',
-                message: 'Analyzing instance structure...'
+                title: `Copy ${componentNames.join(', ')} → "${slotName}"`,
+                instances: captures.map(capture => ({
+                    instanceName: capture.instance.name,
+                    status: capture.fallbackNodeIds.size > 0 ? 'partial' : 'applied',
+                    overrides: capture.data.overrides.map(override => ({
+                        nodeName: override.nodeName,
+                        properties: describeOverrideProperties(override),
+                        issues: capture.fallbackNodeIds.has(override.nodeId)
+                            ? [createPasteIssue('layer', 'no-match', 'Not found in the main component, so its current values were captured')]
+                            : []
+                    }))
+                }))
             });
-            collectOverrides(instance);
-            // ✅ ENSURE ROOT INSTANCE COMPONENT PROPERTIES ARE CAPTURED
-            // The root instance's component properties (like "Label") need special handling
-            // because they might not be detected by the normal override detection
-            if (Object.keys(componentProperties).length > 0) {
-                // Check if we already captured the root instance's component properties
-                const rootInstanceOverride = overrides.find(override => override.nodeId === instance.id && override.componentProperties);
-                if (!rootInstanceOverride) {
-                    // If not captured, add them as a fallback
-                    const rootOverride = {
-                        nodeId: instance.id,
-                        nodeName: instance.name,
-                        nodeType: instance.type,
-                        hierarchyPath: [],
-                        siblingIndex: 0,
-                        uniqueSignature: createUniqueSignature(instance, instance, [], 0),
-                        componentProperties: componentProperties
-                    };
-                    overrides.push(rootOverride);
-                }
+            if (captures.length === 1) {
+                figma.notify(`🎯 Copied ${first.data.overrides.length} overrides from ${first.mainComponent.name} to "${slotName}"`);
+            }
+            else {
+                figma.notify(`🎯 Copied ${captures.length} instances to "${slotName}" - paste spreads them across the selection`);
             }
-            // Store the copied data
-            copiedInstanceData = {
-                sourceComponentName: mainComponent.name,
-                sourceInstanceName: instance.name,
-                sourceComponentSetId: (componentSet === null || componentSet === void 0 ? void 0 : componentSet.id) || null,
-                sourceMainComponentId: mainComponent.id,
-                variantProperties,
-                componentProperties,
-                overrides,
-                timestamp: Date.now()
-            };
-            // Debug: Log what we captured
-            console.log('📋 Copy Summary:', {
-                componentName: mainComponent.name,
-                variantProperties: Object.keys(variantProperties),
-                componentProperties: Object.keys(componentProperties),
-                totalOverrides: overrides.length,
-                nestedInstances: overrides.filter(o => o.nodeType === 'INSTANCE').length,
-                textOverrides: overrides.filter(o => o.nodeType === 'TEXT').length
-            });
-            // Debug: Log nested instance overrides specifically
-            const nestedInstanceOverrides = overrides.filter(o => o.nodeType === 'INSTANCE');
-            if (nestedInstanceOverrides.length > 0) {
-                console.log('🔗 Nested Instance Overrides:', nestedInstanceOverrides.map(o => ({
-                    nodeName: o.nodeName,
-                    componentProperties: o.componentProperties ? Object.keys(o.componentProperties) : [],
-                    variantProperties: o.variantProperties ? Object.keys(o.variantProperties) : []
-                })));
-            }
-            figma.notify(`🎯 Copied ${overrides.length} overrides from ${mainComponent.name}`);
             yield updateComponentButtonStates();
             // Clear caches after copy to free memory
             clearAllCaches();
@@ -703,6 +3709,11 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
             console.error('❌ Copy operation failed:', error);
             const errorMessage = error instanceof Error ? error.message : 'Unknown error';
             figma.notify(`Failed to copy instance data: ${errorMessage}`);
+            postOperationReport({
+                operation: 'copy',
+                title: 'Copy failed',
+                instances: [{ instanceName: instance.name, status: 'failed', detail: errorMessage, overrides: [] }]
+            });
             // Update button states to clear loading indicators even on error
             yield updateComponentButtonStates();
         }
@@ -710,8 +3721,20 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
     // 🎯 PASTE INSTANCE DATA - Advanced override application with cross-variant support
     if (msg.type === 'paste-instance-data') {
         const selection = figma.currentPage.selection;
-        if (!copiedInstanceData) {
-            figma.notify('No instance data copied. Please copy from an instance first.');
+        const slot = getSelectedSlot();
+        if (!slot) {
+            figma.notify('No instance data copied. Please copy from an instance or select a saved slot first.');
+            yield updateComponentButtonStates();
+            return;
+        }
+        const slotData = slot.data;
+        const slotSources = getSlotSources(slot);
+        // Only apply the categories and overrides left ticked in the Components tab
+        const payloads = filterSlotPayloads(slot, parseOverrideCategories(msg.categories), Array.isArray(msg.excludedOverrides) ? msg.excludedOverrides : []);
+        if (payloads.every(payload => payload.overrides.length === 0 &&
+            Object.keys(payload.variantProperties).length === 0 &&
+            Object.keys(payload.componentProperties).length === 0)) {
+            figma.notify('Nothing to paste. Please tick at least one override category.');
             yield updateComponentButtonStates();
             return;
         }
@@ -720,13 +3743,18 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
             yield updateComponentButtonStates();
             return;
         }
-        const instances = selection.filter(node => node.type === 'INSTANCE');
-        if (instances.length !== selection.length) {
+        const selectedInstances = selection.filter(node => node.type === 'INSTANCE');
+        if (selectedInstances.length !== selection.length) {
             figma.notify('Please select only component instances.');
             yield updateComponentButtonStates();
             return;
         }
+        // "Save and paste" from a mapping table offered after a paste only reaches the instances it skipped
+        const targetIds = Array.isArray(msg.targetIds) ? msg.targetIds : [];
+        const waitingInstances = selectedInstances.filter(instance => targetIds.indexOf(instance.id) !== -1);
+        const instances = waitingInstances.length > 0 ? waitingInstances : selectedInstances;
         // Send immediate feedback that operation has started
+        pasteCancelRequested = false;
         figma.ui.postMessage({
             type: 'operation-started',
             operation: 'paste'
@@ -735,351 +3763,169 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
         yield new Promise(resolve => setTimeout(resolve, 10));
         try {
             // Performance optimization: Global font batching with caching
-            const fontsToLoad = new Set();
-            for (const override of copiedInstanceData.overrides) {
-                if (override.fontName) {
-                    const fontKey = JSON.stringify(override.fontName);
-                    if (!loadedFontsCache.has(fontKey)) {
-                        fontsToLoad.add(fontKey);
-                    }
-                }
+            const payloadOverrides = [].concat(...payloads.map(payload => payload.overrides));
+            yield loadOverrideFonts(payloadOverrides);
+            // 🔤 Fonts that failed to load are swapped for their substitutes. Any without one are offered
+            // for substitution first, unless the user chose to paste without them.
+            const overrideFonts = collectOverrideFonts(payloadOverrides);
+            const unavailableFonts = new Set(overrideFonts.filter(font => !isFontLoaded(font)).map(getFontKey));
+            const unsubstitutedFonts = overrideFonts.filter(font => unavailableFonts.has(getFontKey(font)) && !fontSubstitutions[getFontKey(font)]);
+            if (unsubstitutedFonts.length > 0 && !msg.ignoreMissingFonts) {
+                yield postFontSubstitutionTable(unsubstitutedFonts);
+                const fontWord = unsubstitutedFonts.length === 1 ? 'font is' : 'fonts are';
+                figma.notify(`${unsubstitutedFonts.length} ${fontWord} unavailable. Choose substitutes, then paste again`);
+                yield updateComponentButtonStates();
+                return;
             }
-            // Load only fonts that haven't been loaded before
-            if (fontsToLoad.size > 0) {
-                yield Promise.all(Array.from(fontsToLoad).map((fontStr) => __awaiter(void 0, void 0, void 0, function* () {
-                    const font = JSON.parse(fontStr);
-                    yield figma.loadFontAsync(font);
-                    loadedFontsCache.add(fontStr);
-                })));
+            const substitutedPayloads = payloads.map(payload => substituteOverrideFonts(payload, unavailableFonts));
+            for (const substituted of substitutedPayloads) {
+                yield loadOverrideFonts(substituted.data.overrides);
             }
+            // 🔁 Each target gets one source's payload, then is checked against that source's component
+            const sourceIndexes = assignPasteSources(slot, instances, msg.distribution === 'shuffle' ? 'shuffle' : 'cycle', false);
             // Performance optimization: Pre-filter compatible instances to avoid repeated async calls
-            const compatibilityChecks = yield Promise.all(instances.map((instance) => __awaiter(void 0, void 0, void 0, function* () {
-                var _b;
-                try {
-                    const targetMainComponent = yield instance.getMainComponentAsync();
-                    if (!targetMainComponent)
-                        return { instance, compatible: false };
-                    const isCompatible = targetMainComponent.id === copiedInstanceData.sourceMainComponentId || // Same component
-                        (copiedInstanceData.sourceComponentSetId &&
-                            ((_b = targetMainComponent.parent) === null || _b === void 0 ? void 0 : _b.type) === 'COMPONENT_SET' &&
-                            targetMainComponent.parent.id === copiedInstanceData.sourceComponentSetId); // Same component set
-                    return { instance, compatible: isCompatible, mainComponent: targetMainComponent };
-                }
-                catch (err) {
-                    return { instance, compatible: false };
-                }
+            const compatibilityChecks = yield Promise.all(instances.map((instance, index) => __awaiter(void 0, void 0, void 0, function* () {
+                return (Object.assign(Object.assign({}, yield checkPasteCompatibility(instance, substitutedPayloads[sourceIndexes[index]].data)), { sourceIndex: sourceIndexes[index] }));
             })));
+            // 🔀 Targets of another component need a layer mapping first. The rest are pasted, then the
+            // table opens for the first unmapped component.
+            const unmappedChecks = compatibilityChecks.filter(check => !check.compatible && check.mainComponent);
+            const offerLayerMapping = () => {
+                const unmapped = unmappedChecks[0];
+                postLayerMappingTable(slotSources[unmapped.sourceIndex], unmapped.mainComponent, unmappedChecks.map(check => check.instance.id));
+                return unmapped.mainComponent.name;
+            };
             const compatibleInstances = compatibilityChecks.filter(check => check.compatible);
             const skippedCount = instances.length - compatibleInstances.length;
+            if (compatibleInstances.length === 0 && unmappedChecks.length > 0) {
+                figma.notify(`Review how layers map to ${offerLayerMapping()}, then paste again`);
+                yield updateComponentButtonStates();
+                return;
+            }
             if (compatibleInstances.length === 0) {
                 figma.notify('⚠️ No compatible instances found. Please select instances from the same component or component set.');
                 yield updateComponentButtonStates();
                 return;
             }
             // Send progress update
+            let completedCount = 0;
             figma.ui.postMessage({
                 type: 'operation-progress',
                 operation: 'paste',
+                completed: completedCount,
+                total: compatibleInstances.length,
                 message: `Applying overrides to ${compatibleInstances.length} instances...`
             });
-            // Performance optimization: Process compatible instances in parallel
-            const results = yield Promise.all(compatibleInstances.map((_c) => __awaiter(void 0, [_c], void 0, function* ({ instance }) {
+            // Each instance snapshots, applies and rolls back on its own
+            const pasteInstance = (_a) => __awaiter(void 0, [_a], void 0, function* ({ instance, layerMapping, sourceIndex }) {
+                const { data: copiedInstanceData, substitutions } = substitutedPayloads[sourceIndex];
+                let snapshot = null;
+                const overrideReports = [];
+                const reportProgress = () => {
+                    completedCount++;
+                    figma.ui.postMessage({
+                        type: 'operation-progress',
+                        operation: 'paste',
+                        completed: completedCount,
+                        total: compatibleInstances.length,
+                        message: `Pasted ${completedCount} of ${compatibleInstances.length} instances`
+                    });
+                };
                 try {
-                    // ✅ FIRST: APPLY VARIANT AND COMPONENT PROPERTIES
-                    // These changes can restructure the entire instance, so we do them first
-                    if (copiedInstanceData && Object.keys(copiedInstanceData.variantProperties).length > 0) {
-                        yield instance.setProperties(copiedInstanceData.variantProperties);
+                    // ⏪ SNAPSHOT EVERYTHING THIS PASTE WILL TOUCH, BEFORE ANY CHANGE
+                    snapshot = yield captureInstanceSnapshot(instance, copiedInstanceData, layerMapping);
+                    const result = yield applyInstanceData(instance, copiedInstanceData, layerMapping, substitutions);
+                    overrideReports.push(...result.overrides);
+                    if (result.failedPartway) {
+                        throw new Error('An override failed partway through');
                     }
-                    // ✅ SECOND: APPLY COMPONENT PROPERTIES (like "Label" text)
-                    // Component properties must be applied after variant properties but before other overrides
-                    if (copiedInstanceData && Object.keys(copiedInstanceData.componentProperties).length > 0) {
+                    reportProgress();
+                    const report = {
+                        instanceName: instance.name,
+                        status: overrideReports.some(override => override.issues.length > 0) ? 'partial' : 'applied',
+                        overrides: overrideReports
+                    };
+                    return { success: true, snapshot, rolledBack: false, report };
+                }
+                catch (err) {
+                    // Roll back a half-applied instance rather than leave it in a mixed state
+                    let rolledBack = false;
+                    if (snapshot) {
                         try {
-                            // For the root instance, use the correct Figma API
-                            for (const key of Object.keys(copiedInstanceData.componentProperties)) {
-                                const propertyData = copiedInstanceData.componentProperties[key];
-                                try {
-                                    // Extract the actual value from the component property object
-                                    // Component properties are stored as objects like {value: 'text', type: 'TEXT'}
-                                    // but setProperties expects simple key-value pairs
-                                    let actualValue;
-                                    if (propertyData && typeof propertyData === 'object' && 'value' in propertyData) {
-                                        // Extract the value field from the component property object
-                                        actualValue = propertyData.value;
-                                    }
-                                    else {
-                                        // Fallback: use the property data directly if it's not a complex object
-                                        actualValue = propertyData;
-                                    }
-                                    // Try different approaches for root instance component properties
-                                    let success = false;
-                                    // Approach 1: Try setComponentPropertyValue (for nested instances)
-                                    if (typeof instance.setComponentPropertyValue === 'function') {
-                                        try {
-                                            instance.setComponentPropertyValue(key, actualValue);
-                                            success = true;
-                                        }
-                                        catch (setCompErr) {
-                                            // setComponentPropertyValue failed, try next approach
-                                        }
-                                    }
-                                    // Approach 2: Try setProperties with the extracted value
-                                    if (!success && typeof instance.setProperties === 'function') {
-                                        try {
-                                            instance.setProperties({ [key]: actualValue });
-                                            success = true;
-                                        }
-                                        catch (setPropsErr) {
-                                            // setProperties failed, try next approach
-                                        }
-                                    }
-                                    // Approach 3: Try direct assignment to componentProperties (if it's writable)
-                                    if (!success) {
-                                        try {
-                                            const currentProps = Object.assign({}, instance.componentProperties);
-                                            currentProps[key] = actualValue;
-                                            instance.componentProperties = currentProps;
-                                            success = true;
-                                        }
-                                        catch (assignErr) {
-                                            // Direct assignment failed
-                                        }
-                                    }
-                                    if (!success) {
-                                        console.warn(`Cannot set component property ${key}: no available method`);
-                                    }
-                                }
-                                catch (propErr) {
-                                    // Skip problematic component properties but continue with others
-                                    console.warn(`Failed to set component property ${key}:`, propErr);
-                                }
-                            }
-                        }
-                        catch (compErr) {
-                            // If the entire component property operation fails, log but continue
-                            console.warn('Component property application failed:', compErr);
+                            rolledBack = yield restoreInstanceSnapshot(snapshot);
                         }
-                    }
-                    // ✅ SECOND: BUILD NODE MAPPING AFTER STRUCTURAL CHANGES
-                    // Performance optimization: Filter nodes by overridable types during traversal
-                    const allDescendants = 'findAll' in instance
-                        ? instance.findAll((node) => OVERRIDABLE_NODE_TYPES.has(node.type))
-                        : [];
-                    const allNodes = [instance, ...allDescendants];
-                    // Helper function to create unique signature for target nodes (INTERNAL TO INSTANCE)
-                    function createTargetSignature(node, instanceRoot) {
-                        const hierarchyPath = buildInternalHierarchyPath(node, instanceRoot);
-                        let siblingIndex = 0;
-                        if (node.parent && 'children' in node.parent) {
-                            const children = node.parent.children;
-                            const matchingSiblings = children.filter((child) => child.name === node.name && child.type === node.type);
-                            siblingIndex = matchingSiblings.indexOf(node);
+                        catch (rollbackErr) {
+                            console.warn('❌ Failed to roll back instance:', instance.name, rollbackErr);
                         }
-                        return `${node.type}:${node.name}:${hierarchyPath.join('/')}:${siblingIndex}`;
-                    }
-                    // Performance optimization: Use Map instead of Object for faster lookups
-                    const signatureMap = new Map();
-                    for (const node of allNodes) {
-                        const signature = createTargetSignature(node, instance);
-                        signatureMap.set(signature, node);
                     }
-                    // ✅ APPLY OVERRIDES WITH ADVANCED MATCHING - PARALLELIZED
-                    // Create a clean copy of overrides for this instance to prevent shared reference issues
-                    const instanceOverrides = copiedInstanceData.overrides.map(override => (Object.assign({}, override)));
-                    // Performance optimization: Process all overrides in parallel for maximum speed
-                    const overridePromises = instanceOverrides.map((override) => __awaiter(void 0, void 0, void 0, function* () {
-                        // Primary match: Use unique signature for precise identification
-                        let targetNode = signatureMap.get(override.uniqueSignature);
-                        let matchMethod = 'signature';
-                        // Fallback 1: Try signature without sibling index (for structural changes)
-                        if (!targetNode) {
-                            const fallbackSignature = `${override.nodeType}:${override.nodeName}:${override.hierarchyPath.join('/')}`;
-                            for (const [sig, node] of signatureMap.entries()) {
-                                if (sig.startsWith(fallbackSignature + ':')) {
-                                    targetNode = node;
-                                    matchMethod = 'structural';
-                                    break;
-                                }
-                            }
-                        }
-                        // Fallback 2: Match by name and type only (least preferred)
-                        if (!targetNode) {
-                            for (const node of allNodes) {
-                                if (node.type === override.nodeType && node.name === override.nodeName) {
-                                    targetNode = node;
-                                    matchMethod = 'name-type';
-                                    break;
-                                }
-                            }
-                        }
-                        if (!targetNode) {
-                            return { success: false, reason: 'no-match' }; // Skip if no match found
-                        }
-                        try {
-                            // ✅ APPLY OVERRIDES WITH TYPE SAFETY - ALL IN PARALLEL
-                            // TEXT OVERRIDES
-                            if (override.characters !== undefined && targetNode.type === 'TEXT') {
-                                const textNode = targetNode;
-                                try {
-                                    // Fonts are already loaded, so we can apply properties directly
-                                    if (override.fontName) {
-                                        textNode.fontName = override.fontName;
-                                    }
-                                    if (override.fontSize !== undefined) {
-                                        textNode.fontSize = override.fontSize;
-                                    }
-                                    // Apply text content last to ensure all formatting is set first
-                                    textNode.characters = override.characters;
-                                }
-                                catch (textErr) {
-                                    // Skip text override errors
-                                }
-                            }
-                            // TEXT FILL OVERRIDES
-                            if (override.fills !== undefined && targetNode.type === 'TEXT') {
-                                try {
-                                    targetNode.fills = clonePaintArray(override.fills);
-                                }
-                                catch (fillErr) {
-                                    // Skip text fill errors
-                                }
-                            }
-                            // VISUAL OVERRIDES
-                            if (override.opacity !== undefined && 'opacity' in targetNode) {
-                                try {
-                                    targetNode.opacity = override.opacity;
-                                }
-                                catch (opacityErr) {
-                                    // Skip opacity errors
-                                }
-                            }
-                            if (override.visible !== undefined && 'visible' in targetNode) {
-                                try {
-                                    targetNode.visible = override.visible;
-                                }
-                                catch (visErr) {
-                                    // Skip visibility errors
-                                }
-                            }
-                            // SHAPE FILL OVERRIDES
-                            if (override.layerFills !== undefined && 'fills' in targetNode && targetNode.type !== 'TEXT') {
-                                try {
-                                    targetNode.fills = clonePaintArray(override.layerFills);
-                                }
-                                catch (layerFillErr) {
-                                    // Skip layer fill errors
-                                }
-                            }
-                            // STROKE OVERRIDES
-                            if (override.layerStrokes !== undefined && 'strokes' in targetNode) {
-                                try {
-                                    targetNode.strokes = clonePaintArray(override.layerStrokes);
-                                }
-                                catch (strokeErr) {
-                                    // Skip stroke errors
-                                }
-                            }
-                            // NESTED INSTANCE OVERRIDES - These need to be async
-                            if (override.variantProperties && targetNode.type === 'INSTANCE') {
-                                try {
-                                    yield targetNode.setProperties(override.variantProperties);
-                                }
-                                catch (varErr) {
-                                    console.warn('❌ Failed to apply variant properties to:', targetNode.name, varErr);
-                                }
-                            }
-                            if (override.componentProperties && targetNode.type === 'INSTANCE') {
-                                try {
-                                    // For nested instances, use setComponentPropertyValue if available
-                                    if (typeof targetNode.setComponentPropertyValue === 'function') {
-                                        for (const key in override.componentProperties) {
-                                            const propertyData = override.componentProperties[key];
-                                            // Extract the actual value from the component property object
-                                            // Component properties are stored as objects like {value: 'text', type: 'TEXT'}
-                                            // but setComponentPropertyValue expects just the value
-                                            let actualValue;
-                                            if (propertyData && typeof propertyData === 'object' && 'value' in propertyData) {
-                                                // Extract the value field from the component property object
-                                                actualValue = propertyData.value;
-                                            }
-                                            else {
-                                                // Fallback: use the property data directly if it's not a complex object
-                                                actualValue = propertyData;
-                                            }
-                                            // Apply the extracted value
-                                            targetNode.setComponentPropertyValue(key, actualValue);
-                                        }
-                                    }
-                                    else {
-                                        // If setComponentPropertyValue doesn't exist, skip these properties
-                                    }
-                                }
-                                catch (compErr) {
-                                    console.warn('❌ Failed to apply component properties to:', targetNode.name, compErr);
-                                }
-                            }
-                            return { success: true, matchMethod };
-                        }
-                        catch (err) {
-                            // Skip override application errors
-                            return { success: false, reason: 'application-error' };
-                        }
-                    }));
-                    // Wait for all overrides to complete in parallel
-                    const overrideResults = yield Promise.all(overridePromises);
-                    const appliedCount = overrideResults.filter(result => result.success).length;
-                    // ✅ RE-APPLY ALL FILL OVERRIDES AFTER STRUCTURAL CHANGES - PARALLELIZED
-                    // This ensures fills are restored even if the structure changes after variant/component swaps
-                    const fillOverrides = instanceOverrides.filter(o => o.layerFills !== undefined);
-                    // Performance optimization: Apply fill overrides in parallel
-                    const fillPromises = fillOverrides.map((override) => __awaiter(void 0, void 0, void 0, function* () {
-                        // Try to match by unique signature first
-                        let targetNode = signatureMap.get(override.uniqueSignature);
-                        // Fallback: match by name/type/path if needed
-                        if (!targetNode) {
-                            const fallbackSignature = `${override.nodeType}:${override.nodeName}:${override.hierarchyPath.join('/')}`;
-                            for (const [sig, node] of signatureMap.entries()) {
-                                if (sig.startsWith(fallbackSignature + ':')) {
-                                    targetNode = node;
-                                    break;
-                                }
-                            }
-                        }
-                        if (!targetNode) {
-                            for (const node of allNodes) {
-                                if (node.type === override.nodeType && node.name === override.nodeName) {
-                                    targetNode = node;
-                                    break;
-                                }
-                            }
-                        }
-                        if (targetNode && 'fills' in targetNode && targetNode.type !== 'TEXT') {
-                            try {
-                                targetNode.fills = clonePaintArray(override.layerFills);
-                                return { success: true };
-                            }
-                            catch (layerFillErr) {
-                                // Skip layer fill errors
-                                return { success: false };
-                            }
-                        }
-                        return { success: false };
-                    }));
-                    // Wait for all fill overrides to complete in parallel
-                    yield Promise.all(fillPromises);
-                    return { success: true };
+                    reportProgress();
+                    const report = {
+                        instanceName: instance.name,
+                        status: rolledBack ? 'rolled-back' : 'failed',
+                        detail: err instanceof Error ? err.message : String(err),
+                        overrides: overrideReports
+                    };
+                    return { success: false, snapshot: null, rolledBack, report };
                 }
-                catch (err) {
-                    return { success: false };
+            });
+            // 🧱 Paste in batches, yielding between them so progress renders and Cancel can land
+            const results = [];
+            for (let start = 0; start < compatibleInstances.length; start += PASTE_BATCH_SIZE) {
+                if (pasteCancelRequested) {
+                    break;
                 }
-            })));
+                const batch = compatibleInstances.slice(start, start + PASTE_BATCH_SIZE);
+                results.push(...yield Promise.all(batch.map(pasteInstance)));
+                yield new Promise(resolve => setTimeout(resolve, 0));
+            }
+            const cancelledReports = compatibleInstances.slice(results.length).map(({ instance }) => ({
+                instanceName: instance.name,
+                status: 'skipped',
+                detail: 'Paste was cancelled before this instance',
+                overrides: []
+            }));
+            // 📋 Full report: pasted instances, then those cancelled or skipped as incompatible
+            const skippedReports = compatibilityChecks
+                .filter(check => !check.compatible)
+                .map(check => ({
+                instanceName: check.instance.name,
+                status: 'skipped',
+                detail: check.mainComponent
+                    ? `No layer mapping to ${check.mainComponent.name} yet`
+                    : 'Not compatible with the copied component',
+                overrides: []
+            }));
+            postOperationReport({
+                operation: 'paste',
+                title: `Paste ${slotSources.length > 1 ? `${slotSources.length} sources` : slotData.sourceComponentName} overrides → ${instances.length} ${instances.length === 1 ? 'instance' : 'instances'}${cancelledReports.length > 0 ? ' (cancelled)' : ''}`,
+                instances: [...results.map(result => result.report), ...cancelledReports, ...skippedReports]
+            });
             const successCount = results.filter(result => result.success).length;
+            const rolledBackCount = results.filter(result => result.rolledBack).length;
+            const rollbackNote = rolledBackCount > 0 ? `, ${rolledBackCount} rolled back after an error` : '';
+            // Keep the previous snapshot if nothing from this paste stuck
+            if (successCount > 0) {
+                lastPasteSnapshots = results
+                    .map(result => result.snapshot)
+                    .filter((snapshot) => !!snapshot);
+            }
             // ✅ ENHANCED SUCCESS REPORTING
-            if (successCount === compatibleInstances.length) {
+            if (cancelledReports.length > 0) {
+                figma.notify(`⏹ Paste cancelled after ${results.length} of ${compatibleInstances.length} instances${rollbackNote}`);
+            }
+            else if (unmappedChecks.length > 0) {
+                const unmappedWord = unmappedChecks.length === 1 ? 'instance' : 'instances';
+                figma.notify(`🎯 Applied to ${successCount} of ${instances.length} instances${rollbackNote}. Review how layers map to ${offerLayerMapping()}, then paste the other ${unmappedChecks.length} ${unmappedWord}`);
+            }
+            else if (successCount === compatibleInstances.length) {
                 const instanceWord = successCount === 1 ? 'instance' : 'instances';
                 figma.notify(`🎯 Successfully transferred overrides to ${successCount} ${instanceWord}!`);
             }
             else if (successCount > 0) {
-                figma.notify(`🎯 Applied to ${successCount} instances (${skippedCount} skipped due to incompatibility)`);
+                figma.notify(`🎯 Applied to ${successCount} instances (${skippedCount} skipped due to incompatibility${rollbackNote})`);
+            }
+            else if (rolledBackCount > 0) {
+                figma.notify(`⚠️ Paste failed and was rolled back on ${rolledBackCount} ${rolledBackCount === 1 ? 'instance' : 'instances'}`);
             }
             else {
                 figma.notify('⚠️ No compatible instances found. Please select instances from the same component or component set.');
@@ -1095,42 +3941,576 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
             yield updateComponentButtonStates();
         }
     }
-    // Handle new rename functionality
-    if (msg.type === 'rename-apply') {
-        const selectedNodes = figma.currentPage.selection;
-        if (msg.mode === "Text Mode") {
-            const textNodes = selectedNodes.filter(node => node.type === "TEXT");
-            if (textNodes.length === 0) {
-                figma.notify('Please select at least one text layer');
-                return;
+    // ⏹ CANCEL PASTE - Stops after the batch currently being applied
+    if (msg.type === 'cancel-paste') {
+        pasteCancelRequested = true;
+    }
+    // ♻️ RESET OVERRIDES - Chosen categories back to the main component's values
+    if (msg.type === 'reset-overrides') {
+        const categories = parseResetCategories(msg.categories);
+        const selection = figma.currentPage.selection;
+        const instances = selection.filter(node => node.type === 'INSTANCE');
+        if (categories.length === 0) {
+            figma.notify('Please tick at least one category to reset.');
+            yield updateComponentButtonStates();
+            return;
+        }
+        if (instances.length === 0 || instances.length !== selection.length) {
+            figma.notify('Please select only component instances.');
+            yield updateComponentButtonStates();
+            return;
+        }
+        figma.ui.postMessage({ type: 'operation-started', operation: 'reset' });
+        const reports = [];
+        for (const instance of instances) {
+            try {
+                reports.push(yield resetInstanceOverrides(instance, categories));
+            }
+            catch (err) {
+                reports.push({ instanceName: instance.name, status: 'failed', detail: err instanceof Error ? err.message : String(err), overrides: [] });
+            }
+            figma.ui.postMessage({
+                type: 'operation-progress',
+                operation: 'reset',
+                completed: reports.length,
+                total: instances.length,
+                message: `Reset ${reports.length} of ${instances.length} instances`
+            });
+        }
+        clearAllCaches();
+        const instanceWord = instances.length === 1 ? 'instance' : 'instances';
+        postOperationReport({
+            operation: 'reset',
+            title: `Reset ${categories.join(', ')} on ${instances.length} ${instanceWord}`,
+            instances: reports
+        });
+        const resetCount = reports.reduce((count, report) => count + report.overrides.length, 0);
+        figma.notify(`♻️ Reset ${resetCount} ${resetCount === 1 ? 'layer' : 'layers'} on ${instances.length} ${instanceWord}`);
+        yield updateComponentButtonStates();
+    }
+    // 📊 OVERRIDE AUDIT - Scan the page or document for instances and tally their overrides per main component
+    if (msg.type === 'run-override-audit') {
+        const scope = msg.scope === 'document' ? 'document' : 'page';
+        figma.ui.postMessage({ type: 'operation-started', operation: 'audit' });
+        try {
+            if (scope === 'document') {
+                yield figma.loadAllPagesAsync();
             }
-            yield Promise.all(textNodes.map((textNode) => __awaiter(void 0, void 0, void 0, function* () {
-                if (textNode.type === "TEXT") {
-                    yield figma.loadFontAsync(textNode.fontName);
-                    const newText = applyRename(textNode.characters, msg.matchPattern, msg.renameTo, msg.caseStyle);
-                    textNode.characters = newText;
+            const pages = scope === 'document' ? figma.root.children : [figma.currentPage];
+            const instances = [];
+            for (const page of pages) {
+                for (const instance of page.findAllWithCriteria({ types: ['INSTANCE'] })) {
+                    if (isAuditableInstance(instance))
+                        instances.push({ instance, page });
                 }
-            })));
-            figma.notify('Text updated successfully');
+            }
+            const entries = new Map();
+            for (let i = 0; i < instances.length; i++) {
+                const { instance, page } = instances[i];
+                try {
+                    const mainComponent = yield instance.getMainComponentAsync();
+                    if (mainComponent) {
+                        const entry = entries.get(mainComponent.id) || {
+                            componentId: mainComponent.id,
+                            componentName: getComponentDisplayName(mainComponent),
+                            instanceCount: 0,
+                            overriddenInstances: [],
+                            overriddenProperties: {}
+                        };
+                        entries.set(mainComponent.id, entry);
+                        entry.instanceCount++;
+                        const labels = yield collectAuditOverrides(instance, mainComponent);
+                        if (labels.size > 0) {
+                            entry.overriddenInstances.push({ id: instance.id, name: instance.name, pageName: page.name, overrideCount: labels.size });
+                            labels.forEach(label => {
+                                entry.overriddenProperties[label] = (entry.overriddenProperties[label] || 0) + 1;
+                            });
+                        }
+                    }
+                }
+                catch (err) {
+                    console.warn('❌ Failed to audit instance:', instance.name, err);
+                }
+                // Yield regularly so progress reaches the UI on large documents
+                if ((i + 1) % 25 === 0 || i === instances.length - 1) {
+                    figma.ui.postMessage({
+                        type: 'operation-progress',
+                        operation: 'audit',
+                        completed: i + 1,
+                        total: instances.length,
+                        message: `Audited ${i + 1} of ${instances.length} instances`
+                    });
+                    yield new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+            clearAllCaches();
+            const components = Array.from(entries.values())
+                .sort((a, b) => b.overriddenInstances.length - a.overriddenInstances.length || b.instanceCount - a.instanceCount)
+                .map(entry => ({
+                componentId: entry.componentId,
+                componentName: entry.componentName,
+                instanceCount: entry.instanceCount,
+                overriddenCount: entry.overriddenInstances.length,
+                instances: entry.overriddenInstances.sort((a, b) => b.overrideCount - a.overrideCount),
+                topOverrides: Object.keys(entry.overriddenProperties)
+                    .map(label => ({ label, count: entry.overriddenProperties[label] }))
+                    .sort((a, b) => b.count - a.count)
+                    .slice(0, 8)
+            }));
+            figma.ui.postMessage({
+                type: 'override-audit',
+                scope,
+                instanceCount: instances.length,
+                components
+            });
+            figma.notify(`📊 Audited ${instances.length} instances of ${components.length} components`);
         }
-        else if (msg.mode === "Layer Mode") {
-            const renameableNodeTypes = [
-                "FRAME", "GROUP", "RECTANGLE", "ELLIPSE", "TEXT", "VECTOR", "STAR",
-                "POLYGON", "LINE", "COMPONENT", "INSTANCE", "COMPONENT_SET", "SLICE", "BOOLEAN_OPERATION"
-            ];
-            const renameableNodes = selectedNodes.filter(node => {
-                return renameableNodeTypes.indexOf(node.type) !== -1;
+        catch (error) {
+            console.error('❌ Override audit failed:', error);
+            figma.ui.postMessage({ type: 'override-audit', scope, instanceCount: 0, components: [] });
+            figma.notify('Failed to run the override audit. Please try again.');
+        }
+    }
+    // Select nodes from the audit, switching to their page first
+    if (msg.type === 'select-audit-nodes') {
+        const nodeIds = Array.isArray(msg.nodeIds) ? msg.nodeIds : [];
+        const nodes = (yield Promise.all(nodeIds.map(id => figma.getNodeByIdAsync(id))))
+            .filter((node) => !!node && node.type !== 'PAGE' && node.type !== 'DOCUMENT');
+        if (nodes.length === 0) {
+            figma.notify('These layers no longer exist. Please run the audit again.');
+            return;
+        }
+        const page = getContainingPage(nodes[0]);
+        if (page && page !== figma.currentPage) {
+            yield figma.setCurrentPageAsync(page);
+        }
+        const nodesOnPage = nodes.filter(node => getContainingPage(node) === figma.currentPage);
+        figma.currentPage.selection = nodesOnPage;
+        figma.viewport.scrollAndZoomIntoView(nodesOnPage);
+        if (nodesOnPage.length < nodes.length) {
+            figma.notify(`Selected ${nodesOnPage.length} of ${nodes.length} instances; the rest are on other pages`);
+        }
+    }
+    // 📑 DATA POPULATION - Load a CSV/JSON table, then fill the selection or duplicates of a template row by row
+    if (msg.type === 'load-data-table') {
+        const parsed = parseDataTable(String(msg.content || ''), String(msg.fileName || 'data'));
+        if (!parsed.table) {
+            figma.notify(`Couldn't load data: ${parsed.error}`, { error: true });
+            return;
+        }
+        loadedDataTable = parsed.table;
+        postDataTable();
+        figma.notify(`📑 Loaded ${parsed.table.rows.length} rows with ${parsed.table.columns.length} columns`);
+        yield updateComponentButtonStates();
+    }
+    if (msg.type === 'clear-data-table') {
+        loadedDataTable = null;
+        yield updateComponentButtonStates();
+    }
+    if (msg.type === 'populate-from-data') {
+        const table = loadedDataTable;
+        const bindings = isPlainObject(msg.bindings) ? msg.bindings : {};
+        const selection = figma.currentPage.selection;
+        if (!table || selection.length === 0) {
+            figma.notify('Load a data file and select instances or a template first');
+            return;
+        }
+        if (!Object.keys(bindings).some(column => bindings[column])) {
+            figma.notify('Bind at least one column to a property or text layer');
+            return;
+        }
+        const duplicateTemplate = msg.mode === 'template';
+        if (duplicateTemplate && (selection.length !== 1 || selection[0].type === 'COMPONENT' || selection[0].type === 'COMPONENT_SET')) {
+            figma.notify('Select a single instance or frame to use as the template');
+            return;
+        }
+        // Fill mode follows reading order on the canvas: top to bottom, then left to right
+        const position = (node) => node.absoluteBoundingBox || { x: 0, y: 0 };
+        const targets = duplicateTemplate ? [] : selection.slice().sort((a, b) => Math.round(position(a).y - position(b).y) || position(a).x - position(b).x);
+        const rowCount = duplicateTemplate ? table.rows.length : Math.min(table.rows.length, targets.length);
+        // Local components by name for instance swap cells, looked up once and only if needed
+        let componentsByName = null;
+        const getComponentsByName = () => __awaiter(void 0, void 0, void 0, function* () {
+            if (!componentsByName) {
+                componentsByName = new Map();
+                yield figma.loadAllPagesAsync();
+                for (const page of figma.root.children) {
+                    for (const component of page.findAllWithCriteria({ types: ['COMPONENT'] })) {
+                        componentsByName.set(component.name.toLowerCase(), component.id);
+                        componentsByName.set(getComponentDisplayName(component).toLowerCase(), component.id);
+                    }
+                }
+            }
+            return componentsByName;
+        });
+        figma.ui.postMessage({ type: 'operation-started', operation: 'populate' });
+        const report = {
+            operation: 'populate',
+            title: `Populated ${rowCount} of ${table.rows.length} rows from ${table.fileName}`,
+            instances: []
+        };
+        const populated = [];
+        let previous = selection[0];
+        for (let i = 0; i < rowCount; i++) {
+            let node = targets[i];
+            try {
+                if (duplicateTemplate) {
+                    node = placeTemplateDuplicate(selection[0], previous, i);
+                    previous = node;
+                }
+                const overrides = yield populateNodeFromRow(node, table.rows[i], bindings, getComponentsByName);
+                populated.push(node);
+                report.instances.push({
+                    instanceName: `Row ${i + 1} · ${node.name}`,
+                    status: overrides.some(override => override.issues.length > 0) ? 'partial' : 'applied',
+                    overrides
+                });
+            }
+            catch (err) {
+                console.error('❌ Failed to populate row:', i + 1, err);
+                report.instances.push({
+                    instanceName: `Row ${i + 1}${node ? ` · ${node.name}` : ''}`,
+                    status: 'failed',
+                    detail: err instanceof Error ? err.message : String(err),
+                    overrides: []
+                });
+            }
+            if ((i + 1) % 10 === 0 || i === rowCount - 1) {
+                figma.ui.postMessage({
+                    type: 'operation-progress',
+                    operation: 'populate',
+                    completed: i + 1,
+                    total: rowCount,
+                    message: `Populated ${i + 1} of ${rowCount} rows`
+                });
+                yield new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        for (let i = rowCount; i < table.rows.length; i++) {
+            report.instances.push({ instanceName: `Row ${i + 1}`, status: 'skipped', detail: 'No instance left to fill', overrides: [] });
+        }
+        postOperationReport(report);
+        if (duplicateTemplate && populated.length > 0) {
+            figma.currentPage.selection = populated;
+            figma.viewport.scrollAndZoomIntoView(populated);
+        }
+        figma.notify(`📑 Populated ${populated.length} ${duplicateTemplate ? 'duplicates' : 'layers'} from ${table.fileName}`);
+        yield updateComponentButtonStates();
+    }
+    // ⏪ REVERT LAST PASTE - Restore the values captured just before the last paste
+    if (msg.type === 'revert-last-paste') {
+        if (lastPasteSnapshots.length === 0) {
+            figma.notify('Nothing to revert.');
+            yield updateComponentButtonStates();
+            return;
+        }
+        let restoredCount = 0;
+        for (const snapshot of lastPasteSnapshots) {
+            try {
+                if (yield restoreInstanceSnapshot(snapshot))
+                    restoredCount++;
+            }
+            catch (err) {
+                console.warn('❌ Failed to revert instance:', snapshot.instanceName, err);
+            }
+        }
+        lastPasteSnapshots = [];
+        clearAllCaches();
+        figma.notify(`⏪ Reverted the last paste on ${restoredCount} ${restoredCount === 1 ? 'instance' : 'instances'}`);
+        yield updateComponentButtonStates();
+    }
+    // 🔍 PREVIEW PASTE - Dry run of override matching, nothing is modified
+    if (msg.type === 'preview-instance-data') {
+        const selection = figma.currentPage.selection;
+        const slot = getSelectedSlot();
+        if (!slot) {
+            figma.notify('No instance data copied. Please copy from an instance or select a saved slot first.');
+            return;
+        }
+        // Filter and distribute the sources exactly as the paste will
+        const payloads = filterSlotPayloads(slot, parseOverrideCategories(msg.categories), Array.isArray(msg.excludedOverrides) ? msg.excludedOverrides : []);
+        const instances = selection.filter(node => node.type === 'INSTANCE');
+        if (instances.length === 0 || instances.length !== selection.length) {
+            figma.notify('Please select only component instances.');
+            return;
+        }
+        try {
+            const sourceIndexes = assignPasteSources(slot, instances, msg.distribution === 'shuffle' ? 'shuffle' : 'cycle', true);
+            const compatibilityChecks = yield Promise.all(instances.map((instance, index) => __awaiter(void 0, void 0, void 0, function* () {
+                return (Object.assign(Object.assign({}, yield checkPasteCompatibility(instance, payloads[sourceIndexes[index]])), { sourceIndex: sourceIndexes[index] }));
+            })));
+            const previews = compatibilityChecks.map(({ instance, compatible, mainComponent, layerMapping, sourceIndex }) => {
+                const copiedInstanceData = payloads[sourceIndex];
+                const sourceName = payloads.length > 1 ? copiedInstanceData.sourceInstanceName : null;
+                if (!compatible || !mainComponent) {
+                    return { instanceId: instance.id, instanceName: instance.name, sourceName, compatible: false, variantChange: false, overrides: [] };
+                }
+                const previewRoot = layerMapping ? instance : resolvePreviewRoot(instance, mainComponent, copiedInstanceData);
+                const targetIndex = buildTargetNodeIndex(previewRoot);
+                if (previewRoot !== instance) {
+                    // The paste keeps the instance itself as the root, so index it under its own signature
+                    targetIndex.signatureMap.delete(createTargetSignature(previewRoot, previewRoot));
+                    targetIndex.signatureMap.set(createTargetSignature(instance, instance), instance);
+                    targetIndex.allNodes[0] = instance;
+                    targetIndex.identityMap.set('', instance);
+                }
+                const overrides = copiedInstanceData.overrides.map((override, index) => {
+                    const match = findOverrideTarget(override, targetIndex, layerMapping);
+                    return {
+                        index,
+                        nodeName: override.nodeName,
+                        nodeType: override.nodeType,
+                        path: override.hierarchyPath.join(' / '),
+                        properties: describeOverrideProperties(override),
+                        method: match ? match.method : null,
+                        targetName: match ? match.node.name : null,
+                        targetPath: match && match.node !== instance ? buildInternalHierarchyPath(match.node, previewRoot).join(' / ') : null,
+                        flagged: !match || match.method === 'name-type'
+                    };
+                });
+                return {
+                    instanceId: instance.id,
+                    instanceName: instance.name,
+                    sourceName,
+                    compatible: true,
+                    variantChange: previewRoot !== instance,
+                    targetComponentName: layerMapping ? mainComponent.name : null,
+                    overrides
+                };
+            });
+            figma.ui.postMessage({
+                type: 'paste-preview',
+                slotName: slot.name,
+                instances: previews
             });
-            if (renameableNodes.length === 0) {
-                figma.notify('Please select at least one layer');
+        }
+        catch (error) {
+            console.error('❌ Paste preview failed:', error);
+            figma.notify('Failed to preview the paste. Please try again.');
+        }
+    }
+    // 🔀 LAYER MAPPING - Review and save how layers map onto a different component
+    if (msg.type === 'edit-layer-mapping') {
+        const slotData = getSelectedSlotData();
+        if (!slotData) {
+            figma.notify('No instance data copied. Please copy from an instance or select a saved slot first.');
+            return;
+        }
+        const instances = figma.currentPage.selection.filter(node => node.type === 'INSTANCE');
+        let targetComponent = null;
+        for (const instance of instances) {
+            const mainComponent = yield instance.getMainComponentAsync();
+            if (mainComponent && mainComponent.id !== slotData.sourceMainComponentId) {
+                targetComponent = mainComponent;
+                break;
+            }
+        }
+        if (!targetComponent) {
+            figma.notify('Please select an instance of a different component to map layers to');
+            return;
+        }
+        postLayerMappingTable(slotData, targetComponent);
+    }
+    if (msg.type === 'save-layer-mapping') {
+        const slotData = getSelectedSlotData();
+        const targetComponent = yield figma.getNodeByIdAsync(msg.targetComponentId);
+        if (!slotData || !targetComponent || targetComponent.type !== 'COMPONENT') {
+            figma.notify('Could not save the layer mapping. Please try again.');
+            return;
+        }
+        const layers = {};
+        for (const sourceSignature in msg.layers || {}) {
+            const target = msg.layers[sourceSignature];
+            layers[sourceSignature] = typeof target === 'string' && target !== '' ? target : null;
+        }
+        layerMappings[getLayerMappingKey(slotData.sourceMainComponentId, targetComponent.id)] = {
+            sourceComponentId: slotData.sourceMainComponentId,
+            targetComponentId: targetComponent.id,
+            sourceComponentName: slotData.sourceComponentName,
+            targetComponentName: targetComponent.name,
+            layers
+        };
+        yield saveLayerMappings();
+        figma.notify(`🔀 Saved layer mapping ${slotData.sourceComponentName} → ${targetComponent.name}`);
+        figma.ui.postMessage({
+            type: 'layer-mapping-saved',
+            pasteAfterSave: !!msg.pasteAfterSave,
+            targetIds: Array.isArray(msg.targetIds) ? msg.targetIds : []
+        });
+    }
+    // 🔤 FONT SUBSTITUTIONS - Used from the next paste on, and in later sessions when remembered
+    if (msg.type === 'save-font-substitutions') {
+        const substitutions = Array.isArray(msg.substitutions) ? msg.substitutions : [];
+        for (const substitution of substitutions) {
+            if (!isPlainObject(substitution) || !isValidFontName(substitution.from) || !isValidFontName(substitution.to))
+                continue;
+            const fontKey = getFontKey(substitution.from);
+            fontSubstitutions[fontKey] = cloneFontName(substitution.to);
+            if (msg.remember) {
+                rememberedFontSubstitutions[fontKey] = cloneFontName(substitution.to);
+            }
+        }
+        if (msg.remember) {
+            yield saveFontSubstitutions();
+        }
+        figma.ui.postMessage({ type: 'font-substitutions-saved', pasteAfterSave: !!msg.pasteAfterSave });
+        yield updateComponentButtonStates();
+    }
+    if (msg.type === 'clear-font-substitutions') {
+        fontSubstitutions = {};
+        rememberedFontSubstitutions = {};
+        yield saveFontSubstitutions();
+        figma.notify('Forgot all font substitutions');
+        yield updateComponentButtonStates();
+    }
+    // 📋 OVERRIDE SLOT MANAGEMENT
+    if (msg.type === 'select-override-slot') {
+        selectedSlotId = overrideSlots.some(s => s.id === msg.slotId) ? msg.slotId : null;
+        yield saveOverrideSlots();
+        yield updateComponentButtonStates();
+    }
+    if (msg.type === 'delete-override-slot') {
+        const slot = overrideSlots.find(s => s.id === msg.slotId);
+        if (!slot) {
+            figma.notify('Please select a saved slot to delete');
+            return;
+        }
+        overrideSlots = overrideSlots.filter(s => s.id !== slot.id);
+        if (selectedSlotId === slot.id) {
+            selectedSlotId = overrideSlots.length > 0 ? overrideSlots[overrideSlots.length - 1].id : null;
+        }
+        yield saveOverrideSlots();
+        figma.notify(`Deleted "${slot.name}"`);
+        yield updateComponentButtonStates();
+    }
+    // 📦 EXPORT/IMPORT OVERRIDE SLOTS
+    if (msg.type === 'export-override-slot') {
+        const slot = overrideSlots.find(s => s.id === msg.slotId);
+        if (!slot) {
+            figma.notify('Please select a saved slot to export');
+            return;
+        }
+        const fileName = `${slot.name.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'overrides'}.figmate.json`;
+        figma.ui.postMessage({
+            type: 'download-json',
+            fileName,
+            content: JSON.stringify(createOverrideDocument(slot), null, 2)
+        });
+        figma.notify(`Exported "${slot.name}"`);
+    }
+    if (msg.type === 'import-override-slot') {
+        let doc;
+        try {
+            doc = JSON.parse(msg.content);
+        }
+        catch (_err) {
+            figma.notify('Import failed: file is not valid JSON', { error: true });
+            return;
+        }
+        const validationError = validateOverrideDocument(doc);
+        if (validationError) {
+            figma.notify(`Import failed: ${validationError}`, { error: true });
+            return;
+        }
+        // Every source of a multi-instance export must resolve, or none are imported
+        const overrideDocument = doc;
+        const resolvedSources = [];
+        for (const source of overrideDocument.sources || [overrideDocument.data]) {
+            const resolved = yield resolveImportedPayload(source);
+            if (!resolved.data) {
+                figma.notify(`Import failed: ${resolved.error}`, { error: true });
                 return;
             }
-            renameableNodes.forEach(node => {
-                const newName = applyRename(node.name, msg.matchPattern, msg.renameTo, msg.caseStyle);
-                node.name = newName;
-            });
-            figma.notify(`${renameableNodes.length} layer name(s) updated successfully`);
+            resolvedSources.push(resolved.data);
+        }
+        const data = resolvedSources[0];
+        const slotName = typeof overrideDocument.name === 'string' && overrideDocument.name.trim() !== ''
+            ? overrideDocument.name.trim()
+            : data.sourceComponentName;
+        yield storeOverrideSlot(slotName, data, resolvedSources.length > 1 ? resolvedSources : undefined);
+        const overrideCount = resolvedSources.reduce((count, source) => count + source.overrides.length, 0);
+        figma.notify(resolvedSources.length > 1
+            ? `📦 Imported ${overrideCount} overrides from ${resolvedSources.length} sources into "${slotName}"`
+            : `📦 Imported ${overrideCount} overrides into "${slotName}"`);
+        yield updateComponentButtonStates();
+    }
+    // 👀 RENAME PREVIEW - Old → new for the selection, refreshed as the rename fields change
+    if (msg.type === 'rename-preview') {
+        renamePreviewRequest = {
+            options: parseRenameOptions(msg),
+            excludedNodeIds: Array.isArray(msg.excludedNodeIds) ? msg.excludedNodeIds : []
+        };
+        yield postRenamePreview();
+    }
+    // Handle new rename functionality
+    if (msg.type === 'rename-apply') {
+        const options = parseRenameOptions(msg);
+        const targets = collectRenameTargets(options, figma.currentPage.selection);
+        if (targets.length === 0) {
+            const layerWord = options.mode === 'Text Mode' ? 'text layer' : 'layer';
+            figma.notify(options.scope !== 'page' && figma.currentPage.selection.length === 0
+                ? `Please select at least one ${layerWord}`
+                : `No ${layerWord}s in scope match the filters`);
+            return;
+        }
+        // An unusable pattern is reported next to the match field rather than thrown
+        const excludedNodeIds = Array.isArray(msg.excludedNodeIds) ? msg.excludedNodeIds : [];
+        const plan = yield planRename(options, targets, excludedNodeIds);
+        if (plan.error) {
+            figma.ui.postMessage({ type: 'rename-match-error', message: plan.error });
+            return;
+        }
+        // Rows unticked in the preview keep their current name, as do rows that would end up empty
+        const pending = plan.rows.filter(row => row.newName !== row.oldName && excludedNodeIds.indexOf(row.nodeId) === -1);
+        const changes = pending.filter(row => row.issue !== 'empty');
+        const emptyCount = pending.length - changes.length;
+        const skippedNote = emptyCount > 0 ? ` · ${emptyCount} skipped, as ${emptyCount === 1 ? 'it' : 'they'} would be empty` : '';
+        const nodesById = new Map(targets.map(node => [node.id, node]));
+        if (options.mode === "Text Mode") {
+            const failures = [];
+            yield Promise.all(changes.map((change) => __awaiter(void 0, void 0, void 0, function* () {
+                const textNode = nodesById.get(change.nodeId);
+                if (textNode && textNode.type === "TEXT") {
+                    try {
+                        yield replaceTextRanges(textNode, change.edits, change.newName);
+                    }
+                    catch (err) {
+                        console.warn('❌ Failed to replace text in', textNode.name, err);
+                        failures.push(textNode.name);
+                    }
+                }
+            })));
+            figma.notify(failures.length === 0
+                ? `Text updated successfully${skippedNote}`
+                : `Text updated, but ${failures.length} layer(s) could not be edited: ${failures.join(', ')}${skippedNote}`);
+        }
+        else {
+            const renamed = yield renameLayers(changes);
+            figma.notify(`${renamed} layer name(s) updated successfully${skippedNote}`);
         }
+        yield postRenamePreview();
+    }
+    // 🧹 NAMING LINT - Flag layer names and suggest replacements from their content
+    if (msg.type === 'run-name-lint') {
+        figma.ui.postMessage({ type: 'operation-started', operation: 'lint' });
+        lastNameLintOptions = {
+            scope: msg.scope === 'page' ? 'page' : 'descendants',
+            caseStyle: typeof msg.caseStyle === 'string' ? msg.caseStyle : ''
+        };
+        if (lastNameLintOptions.scope !== 'page' && figma.currentPage.selection.length === 0) {
+            figma.notify('Please select the layers to lint, or lint the whole page');
+        }
+        yield postNameLint();
+    }
+    // Accepted suggestions go through the same layer rename as the Rename section
+    if (msg.type === 'apply-name-lint') {
+        const renames = (Array.isArray(msg.renames) ? msg.renames : [])
+            .filter((rename) => typeof rename.nodeId === 'string' && typeof rename.name === 'string' && rename.name.trim() !== '')
+            .map((rename) => ({ nodeId: rename.nodeId, newName: rename.name }));
+        const renamed = yield renameLayers(renames);
+        figma.notify(`${renamed} layer name(s) updated successfully`);
+        yield postNameLint();
+        yield postRenamePreview();
     }
     // Functions to handle character count
     if (msg.type.startsWith('char-count')) {
@@ -0,0 +1,476 @@
+'use strict';
+
+// 🧪 FAKE FIGMA - An in-memory stand-in for the parts of the Plugin API the override engine touches.
+// Scenes are described as plain JSON and loadPlugin() runs the compiled code.js against them in a VM
+// context, so copy/paste matching can be checked without Figma. Only what the engine reads and writes
+// is modelled: layer fields, instance/component relationships, component properties and variants.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PLUGIN_PATH = path.join(__dirname, '..', 'code.js');
+
+// Defaults per node kind, so `'fills' in node` style checks behave as they do in Figma
+const SCENE_DEFAULTS = { visible: true, opacity: 1, blendMode: 'PASS_THROUGH', effects: [] };
+const GEOMETRY_DEFAULTS = { fills: [], strokes: [], strokeWeight: 1 };
+const TEXT_DEFAULTS = {
+  characters: '',
+  fontName: { family: 'Inter', style: 'Regular' },
+  fontSize: 12,
+  fills: [],
+  letterSpacing: { value: 0, unit: 'PERCENT' },
+  lineHeight: { unit: 'AUTO' },
+  textDecoration: 'NONE',
+  textCase: 'ORIGINAL'
+};
+const CONTAINER_TYPES = ['DOCUMENT', 'PAGE', 'FRAME', 'GROUP', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE'];
+
+// JSON keys that describe the tree rather than layer values
+const SCENE_KEYS = ['type', 'children', 'mainComponent', 'properties', 'variants'];
+// Node fields that are never copied from a component layer into an instance
+const STRUCTURAL_FIELDS = ['id', 'type', 'parent', 'children', 'removed', 'mainComponentId', 'componentProperties', 'propertyDefinitions', 'key'];
+
+// Instance sublayer IDs are "I<instance id>;<component layer id>", flattened for nested instances
+function sublayerId(ownerId, sourceId) {
+  return `${ownerId.startsWith('I') ? ownerId : `I${ownerId}`};${sourceId.replace(/^I/, '')}`;
+}
+
+function parseVariantName(name) {
+  const properties = {};
+  for (const pair of name.split(',')) {
+    const [key, value] = pair.split('=').map(part => part.trim());
+    if (key && value !== undefined) properties[key] = value;
+  }
+  return properties;
+}
+
+function sameVariant(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+class FakeNode {
+  constructor(figma, type, fields, id) {
+    Object.defineProperty(this, 'figma', { value: figma });
+    this.id = id || figma.nextId();
+    this.type = type;
+    this.name = type;
+    this.parent = null;
+    this.removed = false;
+    if (type !== 'DOCUMENT' && type !== 'PAGE') Object.assign(this, structuredClone(SCENE_DEFAULTS));
+    if (type === 'TEXT') defineStyledText(this);
+    if (type === 'TEXT') Object.assign(this, structuredClone(TEXT_DEFAULTS));
+    else if (type !== 'DOCUMENT' && type !== 'PAGE' && type !== 'GROUP') Object.assign(this, structuredClone(GEOMETRY_DEFAULTS));
+    if (CONTAINER_TYPES.includes(type)) this.children = [];
+    if (type === 'PAGE') this.selection = [];
+    Object.assign(this, structuredClone(fields || {}));
+    figma.nodes.set(this.id, this);
+  }
+
+  // 🌳 Tree
+  appendChild(child) {
+    this.insertChild(this.children.length, child);
+  }
+
+  insertChild(index, child) {
+    if (child.parent) child.parent.children.splice(child.parent.children.indexOf(child), 1);
+    child.parent = this;
+    this.children.splice(index, 0, child);
+  }
+
+  remove() {
+    if (this.parent) this.parent.children.splice(this.parent.children.indexOf(this), 1);
+    this.parent = null;
+    this.markRemoved();
+  }
+
+  markRemoved() {
+    this.removed = true;
+    if (this.figma.nodes.get(this.id) === this) this.figma.nodes.delete(this.id);
+    for (const child of this.children || []) child.markRemoved();
+  }
+
+  findAll(callback) {
+    const found = [];
+    const visit = node => {
+      for (const child of node.children || []) {
+        if (!callback || callback(child)) found.push(child);
+        visit(child);
+      }
+    };
+    visit(this);
+    return found;
+  }
+
+  findAllWithCriteria(criteria) {
+    return this.findAll(node => !criteria.types || criteria.types.includes(node.type));
+  }
+
+  findOne(callback) {
+    return this.findAll(callback)[0] || null;
+  }
+
+  // 🔤 Text - fonts are kept per character; every other text style covers the whole layer
+  getStyledTextSegments(fields) {
+    return this.fontRuns.map(run => {
+      const segment = { characters: this.characters.slice(run.start, run.end), start: run.start, end: run.end };
+      for (const field of fields) segment[field] = structuredClone(field === 'fontName' ? run.fontName : this[field]);
+      return segment;
+    });
+  }
+
+  getRangeAllFontNames(start = 0, end = this.characters.length) {
+    const fonts = this.fontRuns.filter(run => run.start < end && run.end > start).map(run => run.fontName);
+    return fonts.length > 0 ? structuredClone(fonts) : [structuredClone(this.fontRuns.fallback)];
+  }
+
+  // Inserted characters take the font of the character before them, or after with useStyle 'AFTER'
+  insertCharacters(start, characters, useStyle = 'BEFORE') {
+    this.assertFontsLoaded();
+    const fonts = this.charFonts;
+    const font = (useStyle === 'AFTER' ? fonts[start] || fonts[start - 1] : fonts[start - 1] || fonts[start]) || this.fontRuns.fallback;
+    this.replaceStyledText(start, start, characters, font);
+  }
+
+  deleteCharacters(start, end) {
+    this.assertFontsLoaded();
+    this.replaceStyledText(start, end, '', null);
+  }
+
+  assertFontsLoaded() {
+    for (const font of this.getRangeAllFontNames()) {
+      if (!this.figma.loadedFonts.has(`${font.family}|${font.style}`)) {
+        throw new Error(`Cannot write to node with unloaded font "${font.family} ${font.style}"`);
+      }
+    }
+  }
+
+  setRangeFontName(start, end, value) {
+    const fonts = this.charFonts;
+    for (let index = start; index < end; index++) fonts[index] = structuredClone(value);
+    this.charFonts = fonts;
+  }
+  setRangeFontSize(_start, _end, value) { this.fontSize = value; }
+  setRangeFills(_start, _end, value) { this.fills = structuredClone(value); }
+  setRangeLetterSpacing(_start, _end, value) { this.letterSpacing = structuredClone(value); }
+  setRangeLineHeight(_start, _end, value) { this.lineHeight = structuredClone(value); }
+  setRangeTextDecoration(_start, _end, value) { this.textDecoration = value; }
+  setRangeTextCase(_start, _end, value) { this.textCase = value; }
+
+  // 🧩 Components
+  get variantProperties() {
+    if (this.type === 'INSTANCE') {
+      const mainComponent = this.figma.nodes.get(this.mainComponentId);
+      return mainComponent ? mainComponent.variantProperties : null;
+    }
+    if (this.type === 'COMPONENT' && this.parent && this.parent.type === 'COMPONENT_SET') {
+      return parseVariantName(this.name);
+    }
+    return null;
+  }
+
+  get componentPropertyDefinitions() {
+    if (this.type === 'COMPONENT_SET') {
+      const definitions = structuredClone(this.propertyDefinitions || {});
+      for (const variant of this.children) {
+        const properties = variant.variantProperties;
+        for (const key of Object.keys(properties)) {
+          definitions[key] = definitions[key] || { type: 'VARIANT', defaultValue: properties[key], variantOptions: [] };
+          if (!definitions[key].variantOptions.includes(properties[key])) definitions[key].variantOptions.push(properties[key]);
+        }
+      }
+      return definitions;
+    }
+    if (this.type === 'COMPONENT' && !this.variantProperties) {
+      return structuredClone(this.propertyDefinitions || {});
+    }
+    throw new Error('Can only get definitions of a component set or non-variant component');
+  }
+
+  createInstance() {
+    const componentSet = this.parent && this.parent.type === 'COMPONENT_SET' ? this.parent : null;
+    const instance = new FakeNode(this.figma, 'INSTANCE', { name: componentSet ? componentSet.name : this.name });
+    this.figma.currentPage.appendChild(instance);
+    instance.useComponent(this);
+    return instance;
+  }
+
+  async getMainComponentAsync() {
+    return this.figma.nodes.get(this.mainComponentId) || null;
+  }
+
+  // Rebuild the instance from a component, keeping the values of properties the component also has
+  useComponent(component, previousProperties = {}) {
+    for (const child of this.children) child.markRemoved();
+    this.children = [];
+    this.mainComponentId = component.id;
+    for (const source of component.children) {
+      this.appendChild(copyForInstance(this.figma, source, this.id));
+    }
+
+    const owner = component.parent && component.parent.type === 'COMPONENT_SET' ? component.parent : component;
+    const definitions = owner.componentPropertyDefinitions;
+    const variant = component.variantProperties || {};
+    this.componentProperties = {};
+    for (const key of Object.keys(definitions)) {
+      const definition = definitions[key];
+      const value = definition.type === 'VARIANT' ? variant[key]
+        : key in previousProperties ? previousProperties[key].value
+        : definition.defaultValue;
+      this.componentProperties[key] = { type: definition.type, value };
+    }
+    this.applyPropertyReferences();
+  }
+
+  setProperties(properties) {
+    const variantChanges = {};
+    for (const key of Object.keys(properties)) {
+      const current = this.componentProperties[key];
+      if (!current) throw new Error(`Could not find a component property with name: '${key}'`);
+      if (current.type === 'VARIANT') variantChanges[key] = properties[key];
+      else current.value = properties[key];
+    }
+
+    const mainComponent = this.figma.nodes.get(this.mainComponentId);
+    const wanted = { ...mainComponent.variantProperties, ...variantChanges };
+    if (Object.keys(variantChanges).length > 0 && !sameVariant(wanted, mainComponent.variantProperties)) {
+      const variant = mainComponent.parent.children.find(child => sameVariant(child.variantProperties, wanted));
+      if (!variant) throw new Error('Unable to find a variant with those property values');
+      this.useComponent(variant, this.componentProperties);
+      return;
+    }
+    this.applyPropertyReferences();
+  }
+
+  swapComponent(component) {
+    this.useComponent(component);
+  }
+
+  // Push property values to the layers bound to them, without crossing into nested instances
+  applyPropertyReferences() {
+    const visit = node => {
+      const references = node.componentPropertyReferences || {};
+      for (const field of Object.keys(references)) {
+        const property = this.componentProperties[references[field]];
+        if (!property) continue;
+        if (field === 'mainComponent') {
+          const component = this.figma.nodes.get(property.value);
+          if (component && node.mainComponentId !== component.id) node.useComponent(component);
+        } else {
+          node[field] = property.value;
+        }
+      }
+      if (node.type !== 'INSTANCE') (node.children || []).forEach(visit);
+    };
+    this.children.forEach(visit);
+  }
+}
+
+// Text layers hold one font per character behind `characters`, `fontName` and `fontRuns`. Setting
+// `characters` gives every character the first one's font, as Figma does, and `fontName` reads
+// figma.mixed once the fonts differ. `fontRuns` sets fonts by range, e.g. from test JSON.
+function defineStyledText(node) {
+  let characters = '';
+  let charFonts = [];
+  let fallback = { family: 'Inter', style: 'Regular' };
+  const sameFont = (a, b) => a.family === b.family && a.style === b.style;
+
+  Object.defineProperty(node, 'charFonts', {
+    get: () => charFonts.slice(),
+    set: fonts => { charFonts = fonts; }
+  });
+  Object.defineProperty(node, 'replaceStyledText', {
+    value: (start, end, text, font) => {
+      characters = characters.slice(0, start) + text + characters.slice(end);
+      charFonts.splice(start, end - start, ...Array.from({ length: text.length }, () => structuredClone(font)));
+    }
+  });
+  Object.defineProperty(node, 'characters', {
+    enumerable: true,
+    get: () => characters,
+    set: value => {
+      const font = charFonts[0] || fallback;
+      characters = value;
+      charFonts = Array.from({ length: value.length }, () => structuredClone(font));
+    }
+  });
+  Object.defineProperty(node, 'fontName', {
+    enumerable: true,
+    get: () => {
+      if (charFonts.some(font => !sameFont(font, charFonts[0]))) return node.figma.mixed;
+      return structuredClone(charFonts[0] || fallback);
+    },
+    set: value => {
+      if (typeof value === 'symbol') return;
+      fallback = structuredClone(value);
+      charFonts = charFonts.map(() => structuredClone(value));
+    }
+  });
+  Object.defineProperty(node, 'fontRuns', {
+    enumerable: true,
+    get: () => {
+      const runs = [];
+      charFonts.forEach((font, index) => {
+        const last = runs[runs.length - 1];
+        if (last && sameFont(last.fontName, font)) last.end = index + 1;
+        else runs.push({ start: index, end: index + 1, fontName: structuredClone(font) });
+      });
+      runs.fallback = fallback;
+      return runs;
+    },
+    set: runs => {
+      for (const run of runs) {
+        for (let index = run.start; index < run.end; index++) charFonts[index] = structuredClone(run.fontName);
+      }
+    }
+  });
+}
+
+// Copy a component layer into an instance: same values, ID derived from the component layer
+function copyForInstance(figma, source, ownerId) {
+  const fields = {};
+  for (const key of Object.keys(source)) {
+    // Mixed values are carried by their per-range fields (fontRuns) instead
+    if (!STRUCTURAL_FIELDS.includes(key) && typeof source[key] !== 'symbol') fields[key] = source[key];
+  }
+  const copy = new FakeNode(figma, source.type, fields, sublayerId(ownerId, source.id));
+  if (source.type === 'INSTANCE') {
+    copy.mainComponentId = source.mainComponentId;
+    copy.componentProperties = structuredClone(source.componentProperties);
+  }
+  for (const child of source.children || []) {
+    copy.appendChild(copyForInstance(figma, child, ownerId));
+  }
+  return copy;
+}
+
+// Build a layer (and its subtree) from JSON. Nested instances name their component with `mainComponent`
+// (a node or its ID) and may set property values with `properties`.
+function buildNode(figma, json) {
+  const fields = {};
+  for (const key of Object.keys(json)) {
+    if (!SCENE_KEYS.includes(key)) fields[key] = json[key];
+  }
+  const node = new FakeNode(figma, json.type || 'FRAME', fields);
+  if (node.type === 'INSTANCE') {
+    const component = typeof json.mainComponent === 'string' ? figma.nodes.get(json.mainComponent) : json.mainComponent;
+    if (!component) throw new Error(`Unknown main component for ${node.name}`);
+    node.useComponent(component);
+    if (json.properties) node.setProperties(json.properties);
+  } else {
+    if (node.type === 'COMPONENT') node.key = `key-${node.id}`;
+    for (const child of json.children || []) node.appendChild(buildNode(figma, child));
+  }
+  return node;
+}
+
+function createFakeFigma(options = {}) {
+  const unavailableFonts = (options.unavailableFonts || []).map(font => `${font.family}|${font.style}`);
+  let lastId = 0;
+
+  const figma = {
+    mixed: Symbol('figma.mixed'),
+    nodes: new Map(),
+    nextId: () => `1:${++lastId}`,
+    messages: [],
+    notifications: [],
+    loadedFonts: new Set(),
+
+    // 🧱 Scene builders for tests
+    buildComponent(json) {
+      const component = buildNode(figma, { ...json, type: 'COMPONENT', properties: undefined });
+      component.propertyDefinitions = structuredClone(json.properties || {});
+      figma.currentPage.appendChild(component);
+      return component;
+    },
+    buildComponentSet(json) {
+      const componentSet = new FakeNode(figma, 'COMPONENT_SET', { name: json.name });
+      componentSet.propertyDefinitions = structuredClone(json.properties || {});
+      for (const variant of json.variants) {
+        componentSet.appendChild(buildNode(figma, { ...variant, type: 'COMPONENT' }));
+      }
+      figma.currentPage.appendChild(componentSet);
+      return componentSet;
+    },
+
+    // 🔌 Plugin API surface used by code.js
+    showUI() {},
+    listeners: {},
+    on(event, handler) {
+      (figma.listeners[event] = figma.listeners[event] || []).push(handler);
+    },
+    // Tests fire events such as 'selectionchange' themselves and wait for the handlers
+    async emit(event) {
+      for (const handler of figma.listeners[event] || []) await handler();
+    },
+    notify(message) {
+      figma.notifications.push(message);
+    },
+    ui: {
+      postMessage(message) {
+        figma.messages.push(message);
+      },
+      onmessage: null
+    },
+    clientStorage: {
+      data: {},
+      async getAsync(key) {
+        return figma.clientStorage.data[key];
+      },
+      async setAsync(key, value) {
+        figma.clientStorage.data[key] = structuredClone(value);
+      }
+    },
+    viewport: { scrollAndZoomIntoView() {} },
+    async getNodeByIdAsync(id) {
+      return figma.nodes.get(id) || null;
+    },
+    async loadFontAsync(font) {
+      if (unavailableFonts.includes(`${font.family}|${font.style}`)) {
+        throw new Error(`The font "${font.family} ${font.style}" could not be loaded`);
+      }
+      figma.loadedFonts.add(`${font.family}|${font.style}`);
+    },
+    async loadAllPagesAsync() {},
+    async setCurrentPageAsync(page) {
+      figma.currentPage = page;
+    },
+    async importComponentByKeyAsync(key) {
+      const component = Array.from(figma.nodes.values()).find(node => node.type === 'COMPONENT' && node.key === key);
+      if (!component) throw new Error(`No published component with key ${key}`);
+      return component;
+    },
+    // Local styles by ID, as plain { id, name, type, key } objects added by the test
+    styles: new Map(),
+    async getStyleByIdAsync(id) {
+      return figma.styles.get(id) || null;
+    },
+    variables: {
+      async getVariableByIdAsync() {
+        return null;
+      }
+    }
+  };
+
+  figma.root = new FakeNode(figma, 'DOCUMENT', { name: 'Document' });
+  figma.currentPage = new FakeNode(figma, 'PAGE', { name: 'Page 1' });
+  figma.root.appendChild(figma.currentPage);
+  return figma;
+}
+
+// Run the compiled plugin with `figma` as its global. Its top-level functions - the override engine
+// included - become properties of the returned context.
+function loadPlugin(figma) {
+  const context = vm.createContext({
+    figma,
+    __html__: '',
+    console: { log() {}, warn() {}, error() {} },
+    setTimeout,
+    clearTimeout
+  });
+  vm.runInContext(fs.readFileSync(PLUGIN_PATH, 'utf8'), context, { filename: PLUGIN_PATH });
+  return context;
+}
+
+module.exports = { createFakeFigma, loadPlugin };
@@ -0,0 +1,93 @@
+'use strict';
+
+// Naming lint: default, duplicate and off-style names flagged against their siblings, with names
+// suggested from content and applied through the layer rename.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFigma, loadPlugin } = require('./fake-figma');
+
+// Messages are built in the plugin's VM context, whose prototypes deepEqual compares
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function setup() {
+  const figma = createFakeFigma();
+  loadPlugin(figma);
+  return figma;
+}
+
+async function lint(figma, fields) {
+  await figma.ui.onmessage({ type: 'run-name-lint', scope: 'descendants', caseStyle: '', ...fields });
+  return plain(figma.messages.filter(message => message.type === 'name-lint').pop());
+}
+
+function buildCard(figma) {
+  return figma.buildComponent({
+    name: 'Card',
+    children: [
+      { type: 'FRAME', name: 'Frame 412', layoutMode: 'HORIZONTAL', children: [{ type: 'TEXT', name: 'Title', characters: 'Order summary\nTwo items' }] },
+      { type: 'RECTANGLE', name: 'Rectangle 7', fills: [{ type: 'IMAGE', imageHash: 'photo', scaleMode: 'FILL', visible: true }] },
+      { type: 'FRAME', name: 'Price Row' },
+      { type: 'FRAME', name: 'Price Row' },
+      { type: 'FRAME', name: 'footer_actions' }
+    ]
+  });
+}
+
+test('flags default, duplicate and off-style names with content-based suggestions', async () => {
+  const figma = setup();
+  const card = buildCard(figma);
+  figma.currentPage.selection = [card];
+
+  const result = await lint(figma);
+  assert.equal(result.layerCount, 7);
+  assert.deepEqual(
+    result.issues.map(issue => [issue.name, issue.reasons.join(','), issue.suggestion]),
+    [
+      ['Frame 412', 'default', 'Order Summary Row'],
+      ['Rectangle 7', 'default', 'Image'],
+      ['Price Row', 'duplicate', 'Price Row 2'],
+      ['footer_actions', 'casing', 'Footer Actions']
+    ]
+  );
+  assert.equal(result.issues[2].nodeId, card.children[3].id);
+});
+
+test('applies accepted suggestions and lints again', async () => {
+  const figma = setup();
+  const card = buildCard(figma);
+  figma.currentPage.selection = [card];
+
+  const result = await lint(figma, { caseStyle: 'kebab-case' });
+  const accepted = result.issues.filter(issue => issue.name !== 'Rectangle 7');
+  await figma.ui.onmessage({ type: 'apply-name-lint', renames: accepted.map(issue => ({ nodeId: issue.nodeId, name: issue.suggestion })) });
+
+  assert.deepEqual(
+    card.children.map(node => node.name),
+    ['order-summary-row', 'Rectangle 7', 'price-row', 'price-row-2', 'footer-actions']
+  );
+  const rerun = plain(figma.messages.filter(message => message.type === 'name-lint').pop());
+  assert.deepEqual(rerun.issues.map(issue => issue.name), ['Rectangle 7']);
+});
+
+test('suggests component and variant names and skips layers inside instances', async () => {
+  const figma = setup();
+  const button = figma.buildComponentSet({
+    name: 'Button',
+    variants: [
+      { name: 'Size=Small, State=Default', children: [{ type: 'TEXT', name: 'Text', characters: 'Buy' }] },
+      { name: 'Size=Large, State=Hover', children: [{ type: 'TEXT', name: 'Text', characters: 'Buy' }] }
+    ]
+  });
+  const instance = button.children[1].createInstance();
+  instance.name = 'Frame 9';
+
+  const result = await lint(figma, { scope: 'page' });
+  assert.deepEqual(
+    result.issues.filter(issue => issue.nodeId === instance.id).map(issue => issue.suggestion),
+    ['Button (Large, Hover)']
+  );
+  assert.ok(result.issues.every(issue => !issue.nodeId.startsWith('I')));
+});
@@ -0,0 +1,694 @@
+'use strict';
+
+// Regression tests for override copy/paste matching, run against the in-memory node model.
+// `npm test` builds code.js first, since that is what these tests load.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { createFakeFigma, loadPlugin } = require('./fake-figma');
+
+const RED = [{ type: 'SOLID', color: { r: 1, g: 0, b: 0 }, opacity: 1 }];
+
+// Values created inside the plugin's VM context have that context's prototypes, which deepEqual compares
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function setup() {
+  const figma = createFakeFigma();
+  return { figma, plugin: loadPlugin(figma) };
+}
+
+// Copy from `source` and paste onto each target, as the copy and paste handlers do
+async function copyAndPaste(plugin, source, targets, filter = data => data) {
+  const mainComponent = await source.getMainComponentAsync();
+  const { data, fallbackNodeIds } = await plugin.captureInstanceData(source, mainComponent);
+  const payload = filter(data);
+  await plugin.loadOverrideFonts(payload.overrides);
+  const results = [];
+  for (const target of targets) {
+    results.push(await plugin.applyInstanceData(target, payload));
+  }
+  return { data, fallbackNodeIds, results };
+}
+
+// The payload pasted with the variant and component property categories unticked
+function withoutProperties(plugin, data) {
+  const categories = plugin.parseOverrideCategories(undefined)
+    .filter(category => category !== 'variantProperties' && category !== 'componentProperties');
+  return plugin.filterPastePayload(data, categories, []);
+}
+
+function findLayer(root, ...names) {
+  return names.reduce((node, name) => node.children.find(child => child.name === name), root);
+}
+
+function overrideFor(data, name) {
+  return data.overrides.find(override => override.nodeName === name);
+}
+
+test('captures only the layers that differ from the main component', async () => {
+  const { figma, plugin } = setup();
+  const card = figma.buildComponent({
+    name: 'Card',
+    children: [
+      { type: 'TEXT', name: 'Title', characters: 'Title' },
+      { type: 'TEXT', name: 'Body', characters: 'Body' },
+      { type: 'RECTANGLE', name: 'Divider' }
+    ]
+  });
+  const source = card.createInstance();
+  findLayer(source, 'Title').characters = 'Weekly specials';
+  findLayer(source, 'Divider').visible = false;
+
+  const { data, fallbackNodeIds } = await copyAndPaste(plugin, source, []);
+
+  assert.deepEqual(plain(data.overrides.map(override => override.nodeName).sort()), ['Divider', 'Title']);
+  assert.equal(overrideFor(data, 'Title').characters, 'Weekly specials');
+  assert.equal(overrideFor(data, 'Divider').visible, false);
+  assert.equal(fallbackNodeIds.size, 0);
+});
+
+test('keeps same-named siblings apart by sibling index', async () => {
+  const { figma, plugin } = setup();
+  const list = figma.buildComponent({
+    name: 'List',
+    children: [
+      { type: 'TEXT', name: 'Item', characters: 'One' },
+      { type: 'TEXT', name: 'Item', characters: 'Two' },
+      { type: 'TEXT', name: 'Item', characters: 'Three' },
+      { type: 'FRAME', name: 'Footer', children: [{ type: 'TEXT', name: 'Item', characters: 'Four' }] }
+    ]
+  });
+  const source = list.createInstance();
+  source.children[2].characters = 'Third item';
+  findLayer(source, 'Footer', 'Item').characters = 'Footer item';
+  const target = list.createInstance();
+
+  const { data, results } = await copyAndPaste(plugin, source, [target]);
+
+  assert.deepEqual(plain(data.overrides.map(override => override.uniqueSignature).sort()), [
+    'TEXT:Item::2',
+    'TEXT:Item:Footer:0'
+  ]);
+  assert.deepEqual(target.children.slice(0, 3).map(item => item.characters), ['One', 'Two', 'Third item']);
+  assert.equal(findLayer(target, 'Footer', 'Item').characters, 'Footer item');
+  assert.ok(results[0].overrides.every(report => report.matchMethod === 'identity' && report.issues.length === 0));
+});
+
+test('matches the main-component layer after it is renamed', async () => {
+  const { figma, plugin } = setup();
+  const card = figma.buildComponent({
+    name: 'Card',
+    children: [{ type: 'FRAME', name: 'Header', children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }] }]
+  });
+  const source = card.createInstance();
+  findLayer(source, 'Header', 'Title').characters = 'Opening hours';
+  const mainComponent = await source.getMainComponentAsync();
+  const { data } = await plugin.captureInstanceData(source, mainComponent);
+
+  findLayer(card, 'Header').name = 'Top';
+  findLayer(card, 'Top', 'Title').name = 'Headline';
+  const target = card.createInstance();
+  await plugin.loadOverrideFonts(data.overrides);
+  const { overrides } = await plugin.applyInstanceData(target, data);
+
+  assert.equal(findLayer(target, 'Top', 'Headline').characters, 'Opening hours');
+  assert.equal(overrides.find(report => report.nodeName === 'Title').matchMethod, 'identity');
+});
+
+test('keeps duplicate names apart when the main component reorders them', async () => {
+  const { figma, plugin } = setup();
+  const menu = figma.buildComponent({
+    name: 'Menu',
+    children: [
+      { type: 'TEXT', name: 'Item', characters: 'Starters' },
+      { type: 'TEXT', name: 'Item', characters: 'Mains' }
+    ]
+  });
+  const source = menu.createInstance();
+  source.children[1].characters = 'Desserts';
+  const mainComponent = await source.getMainComponentAsync();
+  const { data } = await plugin.captureInstanceData(source, mainComponent);
+
+  // The overridden layer is now the first "Item", so its sibling index no longer matches
+  menu.insertChild(0, menu.children[1]);
+  const target = menu.createInstance();
+  await plugin.loadOverrideFonts(data.overrides);
+  await plugin.applyInstanceData(target, data);
+
+  assert.deepEqual(target.children.map(item => item.characters), ['Desserts', 'Starters']);
+});
+
+test('matches layers by name and path when a variant orders its children differently', async () => {
+  const { figma, plugin } = setup();
+  const button = figma.buildComponentSet({
+    name: 'Button',
+    variants: [
+      { name: 'Icon=Leading', children: [{ type: 'VECTOR', name: 'Icon' }, { type: 'TEXT', name: 'Label', characters: 'Button' }] },
+      { name: 'Icon=Trailing', children: [{ type: 'TEXT', name: 'Label', characters: 'Button' }, { type: 'VECTOR', name: 'Icon' }] }
+    ]
+  });
+  const source = button.children[0].createInstance();
+  findLayer(source, 'Label').characters = 'Add to cart';
+  findLayer(source, 'Icon').opacity = 0.5;
+  const target = button.children[1].createInstance();
+
+  // Pasting without the property categories keeps the target's own variant and layer order
+  await copyAndPaste(plugin, source, [target], data => withoutProperties(plugin, data));
+
+  assert.deepEqual(target.variantProperties, { Icon: 'Trailing' });
+  assert.deepEqual(target.children.map(child => child.name), ['Label', 'Icon']);
+  assert.equal(findLayer(target, 'Label').characters, 'Add to cart');
+  assert.equal(findLayer(target, 'Icon').opacity, 0.5);
+});
+
+test('switches the target to the copied variant before applying layer overrides', async () => {
+  const { figma, plugin } = setup();
+  const button = figma.buildComponentSet({
+    name: 'Button',
+    variants: [
+      { name: 'Size=Small', children: [{ type: 'TEXT', name: 'Label', characters: 'Button', fontSize: 12 }] },
+      { name: 'Size=Large', children: [{ type: 'TEXT', name: 'Label', characters: 'Button', fontSize: 16 }, { type: 'VECTOR', name: 'Badge' }] }
+    ]
+  });
+  const source = button.children[1].createInstance();
+  findLayer(source, 'Label').characters = 'Checkout';
+  findLayer(source, 'Badge').fills = RED;
+  const target = button.children[0].createInstance();
+
+  const { results } = await copyAndPaste(plugin, source, [target]);
+
+  assert.deepEqual(target.variantProperties, { Size: 'Large' });
+  assert.equal(findLayer(target, 'Label').characters, 'Checkout');
+  assert.equal(findLayer(target, 'Label').fontSize, 16);
+  assert.deepEqual(plain(findLayer(target, 'Badge').fills), RED);
+  assert.equal(results[0].failedPartway, false);
+});
+
+test('reports a paste preview that fails instead of leaving it unanswered', async () => {
+  const { figma } = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }] });
+  const source = card.createInstance();
+  findLayer(source, 'Title').characters = 'Weekly specials';
+  figma.currentPage.selection = [source];
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+
+  const target = card.createInstance();
+  Object.defineProperty(target, 'children', { get: () => { throw new Error('Instance was removed'); } });
+  figma.currentPage.selection = [target];
+  await figma.ui.onmessage({ type: 'preview-instance-data' });
+
+  assert.equal(figma.notifications[figma.notifications.length - 1], 'Failed to preview the paste. Please try again.');
+});
+
+test('previews a root override during a variant change against the target instance', async () => {
+  const { figma } = setup();
+  const button = figma.buildComponentSet({
+    name: 'Button',
+    variants: [
+      { name: 'Size=Small', children: [{ type: 'TEXT', name: 'Label', characters: 'Button' }] },
+      { name: 'Size=Large', children: [{ type: 'TEXT', name: 'Label', characters: 'Button' }] }
+    ]
+  });
+  const source = button.children[1].createInstance();
+  source.opacity = 0.5;
+  figma.currentPage.selection = [source];
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+
+  const target = button.children[0].createInstance();
+  target.name = 'Checkout button';
+  figma.currentPage.selection = [target];
+  await figma.ui.onmessage({ type: 'preview-instance-data' });
+
+  const preview = plain(figma.messages.filter(message => message.type === 'paste-preview').pop());
+  assert.equal(preview.instances[0].variantChange, true);
+  const rootRow = preview.instances[0].overrides.find(override => override.properties.indexOf('opacity') !== -1);
+  assert.deepEqual([rootRow.method, rootRow.targetName, rootRow.targetPath], ['identity', 'Checkout button', null]);
+});
+
+test('carries a nested instance swapped to another variant', async () => {
+  const { figma, plugin } = setup();
+  const icon = figma.buildComponentSet({
+    name: 'Icon',
+    variants: [
+      { name: 'Type=Star', children: [{ type: 'VECTOR', name: 'Star' }] },
+      { name: 'Type=Heart', children: [{ type: 'VECTOR', name: 'Heart' }] }
+    ]
+  });
+  const [star, heart] = icon.children;
+  const tile = figma.buildComponent({
+    name: 'Tile',
+    children: [
+      { type: 'INSTANCE', name: 'Icon', mainComponent: star },
+      { type: 'TEXT', name: 'Caption', characters: 'Favourite' }
+    ]
+  });
+  const source = tile.createInstance();
+  findLayer(source, 'Icon').setProperties({ Type: 'Heart' });
+  const target = tile.createInstance();
+
+  const { data } = await copyAndPaste(plugin, source, [target]);
+
+  assert.equal(overrideFor(data, 'Icon').swapComponent.id, heart.id);
+  const targetIcon = findLayer(target, 'Icon');
+  assert.equal((await targetIcon.getMainComponentAsync()).id, heart.id);
+  assert.deepEqual(targetIcon.children.map(child => child.name), ['Heart']);
+  assert.equal(findLayer(target, 'Caption').characters, 'Favourite');
+});
+
+test('applies overrides inside nested instances, including their component properties', async () => {
+  const { figma, plugin } = setup();
+  const button = figma.buildComponent({
+    name: 'Button',
+    properties: { 'Show icon#1:0': { type: 'BOOLEAN', defaultValue: true } },
+    children: [
+      { type: 'VECTOR', name: 'Icon', componentPropertyReferences: { visible: 'Show icon#1:0' } },
+      { type: 'TEXT', name: 'Label', characters: 'Button' }
+    ]
+  });
+  const dialog = figma.buildComponent({
+    name: 'Dialog',
+    children: [
+      { type: 'TEXT', name: 'Title', characters: 'Title' },
+      {
+        type: 'FRAME',
+        name: 'Actions',
+        children: [
+          { type: 'INSTANCE', name: 'Button', mainComponent: button },
+          { type: 'INSTANCE', name: 'Button', mainComponent: button }
+        ]
+      }
+    ]
+  });
+  const source = dialog.createInstance();
+  const [sourceCancel, sourceConfirm] = findLayer(source, 'Actions').children;
+  findLayer(sourceConfirm, 'Label').characters = 'Delete';
+  sourceConfirm.setProperties({ 'Show icon#1:0': false });
+  const target = dialog.createInstance();
+
+  const { data } = await copyAndPaste(plugin, source, [target]);
+
+  const labelOverride = data.overrides.find(override => override.nodeName === 'Label' && override.characters !== undefined);
+  assert.deepEqual(plain(labelOverride.hierarchyPath), ['Actions', 'Button']);
+  assert.equal(sourceCancel.children[1].characters, 'Button');
+
+  const [cancel, confirm] = findLayer(target, 'Actions').children;
+  assert.equal(findLayer(confirm, 'Label').characters, 'Delete');
+  assert.equal(confirm.componentProperties['Show icon#1:0'].value, false);
+  assert.equal(findLayer(confirm, 'Icon').visible, false);
+  assert.equal(findLayer(cancel, 'Label').characters, 'Button');
+  assert.equal(cancel.componentProperties['Show icon#1:0'].value, true);
+});
+
+test('falls back from layer identity to signature, then path, then name and type', async () => {
+  const { figma, plugin } = setup();
+  const row = figma.buildComponent({
+    name: 'Row',
+    children: [
+      { type: 'FRAME', name: 'Content', children: [{ type: 'TEXT', name: 'Price', characters: '$0' }] },
+      { type: 'TEXT', name: 'Note', characters: '' }
+    ]
+  });
+  const index = plugin.buildTargetNodeIndex(row.createInstance());
+  const override = (name, hierarchyPath, siblingIndex, componentNodeId) => ({
+    componentNodeId,
+    nodeName: name,
+    nodeType: 'TEXT',
+    hierarchyPath,
+    siblingIndex,
+    uniqueSignature: `TEXT:${name}:${hierarchyPath.join('/')}:${siblingIndex}`
+  });
+
+  const note = findLayer(row, 'Note');
+  assert.equal(plugin.findOverrideTarget(override('Price', ['Content'], 0, note.id), index).method, 'identity');
+  assert.equal(plugin.findOverrideTarget(override('Price', ['Content'], 0, note.id), index).node.name, 'Note');
+  assert.equal(plugin.findOverrideTarget(override('Price', ['Content'], 0, '9:99'), index).method, 'signature');
+  assert.equal(plugin.findOverrideTarget(override('Price', ['Content'], 0), index).method, 'signature');
+  assert.equal(plugin.findOverrideTarget(override('Price', ['Content'], 3), index).method, 'structural');
+  assert.equal(plugin.findOverrideTarget(override('Price', ['Moved'], 0), index).method, 'name-type');
+  assert.equal(plugin.findOverrideTarget(override('Total', ['Content'], 0), index), null);
+});
+
+test('reports layers that have no counterpart on the target', async () => {
+  const { figma, plugin } = setup();
+  const badge = figma.buildComponentSet({
+    name: 'Badge',
+    variants: [
+      { name: 'Tone=Info', children: [{ type: 'TEXT', name: 'Text', characters: 'Info' }, { type: 'TEXT', name: 'Hint', characters: '' }] },
+      { name: 'Tone=Alert', children: [{ type: 'TEXT', name: 'Text', characters: 'Alert' }] }
+    ]
+  });
+  const source = badge.children[0].createInstance();
+  findLayer(source, 'Hint').characters = 'Details';
+  const target = badge.children[1].createInstance();
+
+  const { results } = await copyAndPaste(plugin, source, [target], data => withoutProperties(plugin, data));
+
+  const hintReport = results[0].overrides.find(report => report.nodeName === 'Hint');
+  assert.deepEqual(plain(hintReport.issues.map(issue => issue.reason)), ['no-match']);
+  assert.deepEqual(target.variantProperties, { Tone: 'Alert' });
+});
+
+test('pastes in batches and stops after the current batch when cancelled', async () => {
+  const { figma, plugin } = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }] });
+  const source = card.createInstance();
+  findLayer(source, 'Title').characters = 'Weekly specials';
+  figma.currentPage.selection = [source];
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+
+  const targets = Array.from({ length: 25 }, () => card.createInstance());
+  figma.currentPage.selection = targets;
+  // Cancel as soon as the first batch reports in, as a click during the yield would
+  const postMessage = figma.ui.postMessage;
+  figma.ui.postMessage = (message) => {
+    postMessage(message);
+    if (message.type === 'operation-progress' && message.completed === 1) {
+      figma.ui.onmessage({ type: 'cancel-paste' });
+    }
+  };
+  await figma.ui.onmessage({ type: 'paste-instance-data' });
+
+  const pasted = targets.filter(target => findLayer(target, 'Title').characters === 'Weekly specials');
+  assert.equal(pasted.length, 10);
+  const report = figma.messages.filter(message => message.type === 'operation-report').pop().report;
+  assert.equal(report.instances.filter(instance => instance.status === 'skipped').length, 15);
+  assert.match(figma.notifications[figma.notifications.length - 1], /cancelled after 10 of 25/);
+});
+
+// A card whose source instance changes the title text and the background opacity
+async function copyEditedCard(figma) {
+  const card = figma.buildComponent({
+    name: 'Card',
+    children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }, { type: 'RECTANGLE', name: 'Bg' }]
+  });
+  const source = card.createInstance();
+  findLayer(source, 'Title').characters = 'Weekly specials';
+  findLayer(source, 'Bg').opacity = 0.5;
+  figma.currentPage.selection = [source];
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+  return card;
+}
+
+test('rolls an instance back when one of its layer writes fails', async () => {
+  const { figma } = setup();
+  const card = await copyEditedCard(figma);
+  const target = card.createInstance();
+  Object.defineProperty(findLayer(target, 'Bg'), 'opacity', {
+    get: () => 1,
+    set: () => { throw new Error('Layer is read-only'); }
+  });
+
+  figma.currentPage.selection = [target];
+  await figma.ui.onmessage({ type: 'paste-instance-data' });
+
+  assert.equal(findLayer(target, 'Title').characters, 'Title');
+  const report = figma.messages.filter(message => message.type === 'operation-report').pop().report;
+  assert.equal(report.instances[0].status, 'rolled-back');
+});
+
+test('keeps the other overrides when a style is not available in this file', async () => {
+  const { figma } = setup();
+  const card = figma.buildComponent({
+    name: 'Card',
+    children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }, { type: 'RECTANGLE', name: 'Bg', fillStyleId: '' }]
+  });
+  const source = card.createInstance();
+  findLayer(source, 'Title').characters = 'Weekly specials';
+  findLayer(source, 'Bg').fillStyleId = 'S:brand-colour';
+  figma.currentPage.selection = [source];
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+
+  const target = card.createInstance();
+  figma.currentPage.selection = [target];
+  await figma.ui.onmessage({ type: 'paste-instance-data' });
+
+  assert.equal(findLayer(target, 'Title').characters, 'Weekly specials');
+  const report = figma.messages.filter(message => message.type === 'operation-report').pop().report;
+  assert.equal(report.instances[0].status, 'partial');
+  const bgIssues = report.instances[0].overrides.find(override => override.nodeName === 'Bg').issues;
+  assert.deepEqual(plain(bgIssues.map(issue => [issue.property, issue.reason])), [['fillStyleId', 'unavailable']]);
+});
+
+test('reports a text style binding that resolves to another kind of style', async () => {
+  const { figma } = setup();
+  figma.styles.set('S:brand', { id: 'S:brand', name: 'Brand', type: 'PAINT', key: 'brand' });
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'TEXT', name: 'Title', characters: 'Title', textStyleId: '' }] });
+  const source = card.createInstance();
+  findLayer(source, 'Title').textStyleId = 'S:brand';
+  figma.currentPage.selection = [source];
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+
+  const target = card.createInstance();
+  figma.currentPage.selection = [target];
+  await figma.ui.onmessage({ type: 'paste-instance-data' });
+
+  const report = figma.messages.filter(message => message.type === 'operation-report').pop().report;
+  const titleIssues = report.instances[0].overrides.find(override => override.nodeName === 'Title').issues;
+  assert.deepEqual(plain(titleIssues), [{ property: 'textStyleId', reason: 'unavailable', detail: 'Brand is not a text style' }]);
+});
+
+test('rolls back when a root component property cannot be set, as for a layer', async () => {
+  const { figma } = setup();
+  const card = figma.buildComponent({
+    name: 'Card',
+    properties: { 'Label#1:0': { type: 'TEXT', defaultValue: 'Buy' } },
+    children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }]
+  });
+  const source = card.createInstance();
+  source.setProperties({ 'Label#1:0': 'Order now' });
+  findLayer(source, 'Title').characters = 'Weekly specials';
+  figma.currentPage.selection = [source];
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+
+  const target = card.createInstance();
+  const properties = target.componentProperties;
+  const reject = () => { throw new Error('Property is locked'); };
+  target.setProperties = reject;
+  Object.defineProperty(target, 'componentProperties', { get: () => properties, set: reject });
+  figma.currentPage.selection = [target];
+  await figma.ui.onmessage({ type: 'paste-instance-data' });
+
+  assert.equal(findLayer(target, 'Title').characters, 'Title');
+  const report = figma.messages.filter(message => message.type === 'operation-report').pop().report;
+  assert.equal(report.instances[0].status, 'rolled-back');
+});
+
+test('reverts the last paste to the values it overwrote', async () => {
+  const { figma } = setup();
+  const card = await copyEditedCard(figma);
+  const target = card.createInstance();
+  findLayer(target, 'Title').characters = 'Soup of the day';
+
+  figma.currentPage.selection = [target];
+  await figma.ui.onmessage({ type: 'paste-instance-data' });
+  assert.equal(findLayer(target, 'Title').characters, 'Weekly specials');
+  assert.equal(findLayer(target, 'Bg').opacity, 0.5);
+
+  await figma.ui.onmessage({ type: 'revert-last-paste' });
+  assert.equal(findLayer(target, 'Title').characters, 'Soup of the day');
+  assert.equal(findLayer(target, 'Bg').opacity, 1);
+});
+
+test('spreads a multi-instance copy across the targets in order', async () => {
+  const { figma } = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }] });
+  const sources = ['Soup', 'Salad', 'Stew'].map(title => {
+    const source = card.createInstance();
+    findLayer(source, 'Title').characters = title;
+    return source;
+  });
+  figma.currentPage.selection = sources;
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+
+  const targets = Array.from({ length: 7 }, () => card.createInstance());
+  figma.currentPage.selection = targets;
+  await figma.ui.onmessage({ type: 'paste-instance-data', distribution: 'cycle' });
+
+  assert.deepEqual(
+    targets.map(target => findLayer(target, 'Title').characters),
+    ['Soup', 'Salad', 'Stew', 'Soup', 'Salad', 'Stew', 'Soup']
+  );
+});
+
+test('previews the source each target gets and pastes the same shuffle', async () => {
+  const { figma } = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }] });
+  const sources = ['Soup', 'Salad', 'Stew'].map(title => {
+    const source = card.createInstance();
+    source.name = title;
+    findLayer(source, 'Title').characters = title;
+    return source;
+  });
+  figma.currentPage.selection = sources;
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+
+  const targets = Array.from({ length: 6 }, () => card.createInstance());
+  figma.currentPage.selection = targets;
+  await figma.ui.onmessage({ type: 'preview-instance-data', distribution: 'shuffle' });
+  const preview = plain(figma.messages.filter(message => message.type === 'paste-preview').pop());
+  await figma.ui.onmessage({ type: 'paste-instance-data', distribution: 'shuffle' });
+
+  assert.deepEqual(
+    targets.map(target => findLayer(target, 'Title').characters),
+    preview.instances.map(instance => instance.sourceName)
+  );
+});
+
+test('shuffles afresh on each paste once the previewed order is used', async () => {
+  const { figma, plugin } = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }] });
+  const sources = ['Soup', 'Salad', 'Stew'].map(title => {
+    const source = card.createInstance();
+    findLayer(source, 'Title').characters = title;
+    return source;
+  });
+  figma.currentPage.selection = sources;
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+  const targets = Array.from({ length: 3 }, () => card.createInstance());
+  figma.currentPage.selection = targets;
+  const titles = () => targets.map(target => findLayer(target, 'Title').characters);
+
+  // A random of 0 swaps each card with the first; just under 1 leaves the deck in order
+  const pluginMath = vm.runInContext('Math', plugin);
+  pluginMath.random = () => 0;
+  await figma.ui.onmessage({ type: 'preview-instance-data', distribution: 'shuffle' });
+  pluginMath.random = () => 0.999;
+  await figma.ui.onmessage({ type: 'paste-instance-data', distribution: 'shuffle' });
+  assert.deepEqual(titles(), ['Salad', 'Stew', 'Soup']);
+
+  await figma.ui.onmessage({ type: 'paste-instance-data', distribution: 'shuffle' });
+  assert.deepEqual(titles(), ['Soup', 'Salad', 'Stew']);
+});
+
+test('exports and imports every source of a multi-instance copy', async () => {
+  const { figma } = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }] });
+  const sources = ['Soup', 'Salad'].map(title => {
+    const source = card.createInstance();
+    findLayer(source, 'Title').characters = title;
+    return source;
+  });
+  figma.currentPage.selection = sources;
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+  const { selectedSlotId } = figma.messages.filter(message => message.type === 'update-component-buttons').pop();
+
+  await figma.ui.onmessage({ type: 'export-override-slot', slotId: selectedSlotId });
+  const doc = JSON.parse(figma.messages.filter(message => message.type === 'download-json').pop().content);
+  assert.equal(doc.version, 2);
+  assert.equal(doc.sources.length, 2);
+
+  await figma.ui.onmessage({ type: 'import-override-slot', content: JSON.stringify({ ...doc, name: 'Imported menu' }) });
+  assert.equal(figma.messages.filter(message => message.type === 'update-component-buttons').pop().selectedSourceCount, 2);
+  const targets = [card.createInstance(), card.createInstance()];
+  figma.currentPage.selection = targets;
+  await figma.ui.onmessage({ type: 'paste-instance-data', distribution: 'cycle' });
+  assert.deepEqual(targets.map(target => findLayer(target, 'Title').characters), ['Soup', 'Salad']);
+
+  const broken = { ...doc, sources: [doc.sources[0], { ...doc.sources[1], overrides: 'none' }] };
+  await figma.ui.onmessage({ type: 'import-override-slot', content: JSON.stringify(broken) });
+  assert.equal(figma.notifications[figma.notifications.length - 1], 'Import failed: Source #2 has no overrides list');
+});
+
+test('shuffles sources a full round at a time', () => {
+  const { plugin } = setup();
+  const assigned = plain(plugin.distributeSources(3, 8, 'shuffle'));
+
+  assert.equal(assigned.length, 8);
+  assert.deepEqual([...assigned.slice(0, 3)].sort(), [0, 1, 2]);
+  assert.deepEqual([...assigned.slice(3, 6)].sort(), [0, 1, 2]);
+});
+
+test('audits only instances that differ from their main component', async () => {
+  const { figma } = setup();
+  const card = figma.buildComponent({
+    name: 'Card',
+    children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }, { type: 'RECTANGLE', name: 'Bg', fills: RED }]
+  });
+  const clean = card.createInstance();
+  const retitled = card.createInstance();
+  findLayer(retitled, 'Title').characters = 'Weekly specials';
+  const recoloured = card.createInstance();
+  findLayer(recoloured, 'Bg').fills = [{ type: 'SOLID', color: { r: 0, g: 0, b: 1 }, opacity: 1 }];
+
+  await figma.ui.onmessage({ type: 'run-override-audit', scope: 'page' });
+
+  const audit = plain(figma.messages.filter(message => message.type === 'override-audit').pop());
+  assert.equal(audit.components[0].instanceCount, 3);
+  assert.deepEqual(audit.components[0].instances.map(instance => instance.id).sort(), [retitled.id, recoloured.id].sort());
+  assert.ok(audit.components[0].topOverrides.some(override => override.label === 'Bg › fill'));
+  assert.ok(audit.components[0].instances.every(instance => instance.id !== clean.id));
+});
+
+test('imports onto a component found by ID only when its key or name confirms it', async () => {
+  const { figma, plugin } = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }] });
+  const source = card.createInstance();
+  findLayer(source, 'Title').characters = 'Weekly specials';
+  const { data } = await plugin.captureInstanceData(source, card);
+
+  const imported = await plugin.resolveImportedPayload(plain(data));
+  assert.equal(imported.data.sourceMainComponentId, card.id);
+  assert.ok(imported.data.overrides[0].componentNodeId);
+
+  // The same node ID in another file belongs to an unrelated component
+  const otherFile = plain({ ...data, sourceComponentKey: 'key-from-another-file' });
+  assert.match((await plugin.resolveImportedPayload(otherFile)).error, /"Card" .* was not found/);
+  const renamed = plain({ ...data, sourceComponentKey: undefined, sourceComponentName: 'Card v1' });
+  assert.match((await plugin.resolveImportedPayload(renamed)).error, /"Card v1" .* was not found/);
+});
+
+test('pastes the compatible targets and offers a layer mapping for the rest', async () => {
+  const { figma } = setup();
+  const cardV1 = figma.buildComponent({ name: 'Card v1', children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }] });
+  const cardV2 = figma.buildComponent({ name: 'Card v2', children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }] });
+  const source = cardV1.createInstance();
+  findLayer(source, 'Title').characters = 'Weekly specials';
+  figma.currentPage.selection = [source];
+  await figma.ui.onmessage({ type: 'copy-instance-data' });
+
+  const sameComponent = cardV1.createInstance();
+  const otherComponent = cardV2.createInstance();
+  figma.currentPage.selection = [sameComponent, otherComponent];
+  await figma.ui.onmessage({ type: 'paste-instance-data' });
+
+  assert.equal(findLayer(sameComponent, 'Title').characters, 'Weekly specials');
+  assert.equal(findLayer(otherComponent, 'Title').characters, 'Title');
+  const report = figma.messages.filter(message => message.type === 'operation-report').pop().report;
+  assert.deepEqual(plain(report.instances.map(instance => instance.status)), ['applied', 'skipped']);
+  const mapping = figma.messages.filter(message => message.type === 'layer-mapping').pop();
+  assert.deepEqual(plain(mapping.targetIds), [otherComponent.id]);
+
+  // "Save and paste" then reaches only the instance that waited for the mapping
+  findLayer(sameComponent, 'Title').characters = 'Edited since';
+  const layers = {};
+  for (const row of mapping.rows) layers[row.signature] = row.target;
+  await figma.ui.onmessage({ type: 'save-layer-mapping', targetComponentId: cardV2.id, layers, pasteAfterSave: true, targetIds: mapping.targetIds });
+  const saved = figma.messages.filter(message => message.type === 'layer-mapping-saved').pop();
+  await figma.ui.onmessage({ type: 'paste-instance-data', targetIds: saved.targetIds });
+
+  assert.equal(findLayer(otherComponent, 'Title').characters, 'Weekly specials');
+  assert.equal(findLayer(sameComponent, 'Title').characters, 'Edited since');
+});
+
+test('writes a bound property only to the instance it was bound on', async () => {
+  const { figma } = setup();
+  const button = figma.buildComponent({ name: 'Button', properties: { 'Label#2:0': { type: 'TEXT', defaultValue: 'Add' } } });
+  const card = figma.buildComponent({
+    name: 'Card',
+    properties: { 'Label#1:0': { type: 'TEXT', defaultValue: 'Dish' } },
+    children: [{ type: 'INSTANCE', name: 'Button', mainComponent: button }]
+  });
+  const target = card.createInstance();
+  figma.currentPage.selection = [target];
+  await figma.ui.onmessage({ type: 'load-data-table', fileName: 'menu.csv', content: 'Label\nSoup of the day' });
+
+  const table = plain(figma.messages.filter(message => message.type === 'data-table').pop());
+  assert.deepEqual(table.options.map(option => option.label), ['Label (text)', 'Label (text) on "Button"']);
+  await figma.ui.onmessage({ type: 'populate-from-data', mode: 'fill', bindings: table.suggestions });
+
+  assert.equal(target.componentProperties['Label#1:0'].value, 'Soup of the day');
+  assert.equal(findLayer(target, 'Button').componentProperties['Label#2:0'].value, 'Add');
+});
@@ -0,0 +1,282 @@
+'use strict';
+
+// Rename templates: tokens expanded per layer by the rename-apply handler, in Layer and Text Mode.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFigma, loadPlugin } = require('./fake-figma');
+
+function setup() {
+  const figma = createFakeFigma();
+  loadPlugin(figma);
+  return figma;
+}
+
+async function rename(figma, nodes, fields) {
+  figma.currentPage.selection = nodes;
+  await figma.ui.onmessage({ type: 'rename-apply', mode: 'Layer Mode', matchPattern: '', caseStyle: '', ...fields });
+  return nodes.map(node => node.name);
+}
+
+test('numbers layers with padding and a start value', async () => {
+  const figma = setup();
+  const list = figma.buildComponent({ name: 'List', children: [{ type: 'FRAME' }, { type: 'FRAME' }, { type: 'FRAME' }] });
+
+  assert.deepEqual(await rename(figma, list.children, { renameTo: 'Row $n' }), ['Row 1', 'Row 2', 'Row 3']);
+  assert.deepEqual(await rename(figma, list.children, { renameTo: 'Row $nnn(9)' }), ['Row 009', 'Row 010', 'Row 011']);
+});
+
+test('expands parent, type, size and text tokens', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({
+    name: 'Card',
+    children: [
+      { type: 'RECTANGLE', name: 'Shape', width: 120.4, height: 48 },
+      { type: 'TEXT', name: 'Label', characters: 'Buy now', width: 60, height: 16 }
+    ]
+  });
+
+  assert.deepEqual(
+    await rename(figma, card.children, { renameTo: '$parent/$type $size' }),
+    ['Card/Rectangle 120×48', 'Card/Text 60×16']
+  );
+  assert.deepEqual(await rename(figma, [card.children[1]], { renameTo: '$text' }), ['Buy now']);
+});
+
+test('expands component and variant tokens for instances', async () => {
+  const figma = setup();
+  const button = figma.buildComponentSet({
+    name: 'Button',
+    variants: [{ name: 'Size=Small, State=Default' }, { name: 'Size=Large, State=Hover' }]
+  });
+  const instance = button.children[1].createInstance();
+
+  assert.deepEqual(
+    await rename(figma, [instance], { renameTo: '$component / $variant(Size) / $variant(State)' }),
+    ['Button / Large / Hover']
+  );
+});
+
+test('keeps $& for the matched text and replaces tokens in Text Mode', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'TEXT', name: 'Price', characters: 'Price 10' }] });
+  const [price] = card.children;
+
+  await rename(figma, [price], { renameTo: '[$&] $type' });
+  assert.equal(price.name, '[Price] Text');
+
+  figma.currentPage.selection = [price];
+  await figma.ui.onmessage({ type: 'rename-apply', mode: 'Text Mode', matchPattern: 'Price', renameTo: '$& #$n', caseStyle: '' });
+  assert.equal(price.characters, 'Price #1 10');
+});
+
+test('matches literally by default, so regex characters need no escaping', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'TEXT', name: 'Price (AED)' }, { type: 'TEXT', name: 'Scale 1.5x' }] });
+
+  assert.deepEqual(
+    await rename(figma, card.children, { matchPattern: 'Price (AED)', renameTo: 'Amount' }),
+    ['Amount', 'Scale 1.5x']
+  );
+  assert.deepEqual(await rename(figma, card.children, { matchPattern: '1.5x', renameTo: '2x' }), ['Amount', 'Scale 2x']);
+});
+
+test('replaces regex capture groups and honours ignore case', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'FRAME', name: 'ICON-arrow' }, { type: 'FRAME', name: 'icon-close' }] });
+
+  assert.deepEqual(
+    await rename(figma, card.children, { matchPattern: '^icon-(\\w+)$', matchMode: 'regex', ignoreCase: true, renameTo: 'Icon/$1' }),
+    ['Icon/arrow', 'Icon/close']
+  );
+});
+
+test('matches whole names with glob wildcards', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'FRAME', name: 'btn primary' }, { type: 'FRAME', name: 'my btn' }] });
+
+  assert.deepEqual(
+    await rename(figma, card.children, { matchPattern: 'btn *', matchMode: 'glob', renameTo: 'Button/$1' }),
+    ['Button/primary', 'my btn']
+  );
+});
+
+test('reports an invalid regex instead of throwing', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'FRAME', name: 'Row' }] });
+
+  assert.deepEqual(await rename(figma, card.children, { matchPattern: 'Row(', matchMode: 'regex', renameTo: 'x' }), ['Row']);
+  assert.equal(figma.messages.filter(message => message.type === 'rename-match-error').length, 1);
+});
+
+test('previews old → new names and flags sibling clashes and empty names', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({
+    name: 'Card',
+    children: [{ type: 'FRAME', name: 'Row A' }, { type: 'FRAME', name: 'Row B' }, { type: 'FRAME', name: 'Header' }]
+  });
+  figma.currentPage.selection = card.children.slice(0, 2);
+
+  await figma.ui.onmessage({ type: 'rename-preview', mode: 'Layer Mode', matchPattern: 'Row *', matchMode: 'glob', renameTo: 'Header', caseStyle: '' });
+  let preview = figma.messages.filter(message => message.type === 'rename-preview').pop();
+  assert.equal(preview.targetCount, 2);
+  assert.deepEqual(preview.rows.map(row => [row.oldName, row.newName, row.issue]), [
+    ['Row A', 'Header', 'duplicate'],
+    ['Row B', 'Header', 'duplicate']
+  ]);
+
+  await figma.ui.onmessage({ type: 'rename-preview', mode: 'Layer Mode', matchPattern: 'Row B', renameTo: '', caseStyle: '' });
+  preview = figma.messages.filter(message => message.type === 'rename-preview').pop();
+  assert.deepEqual(preview.rows.map(row => [row.oldName, row.newName, row.issue]), [['Row B', '', 'empty']]);
+  assert.deepEqual(card.children.map(child => child.name), ['Row A', 'Row B', 'Header']);
+});
+
+test('skips rows that would be left with an empty name and says so', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'FRAME', name: 'Row A' }, { type: 'FRAME', name: 'Row B' }] });
+
+  const names = await rename(figma, card.children, { matchPattern: 'Row B', renameTo: '' });
+
+  assert.deepEqual(names, ['Row A', 'Row B']);
+  assert.equal(figma.notifications[figma.notifications.length - 1], '0 layer name(s) updated successfully · 1 skipped, as it would be empty');
+});
+
+test('looks up main components only for $component and reports a failed preview', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'TEXT', name: 'Title', characters: 'Title' }] });
+  const instance = card.createInstance();
+  instance.getMainComponentAsync = async () => { throw new Error('Component was removed'); };
+  figma.currentPage.selection = [instance];
+
+  await figma.ui.onmessage({ type: 'rename-preview', mode: 'Layer Mode', matchPattern: '', renameTo: 'Item $n', caseStyle: '' });
+  let preview = figma.messages.filter(message => message.type === 'rename-preview').pop();
+  assert.deepEqual(preview.rows.map(row => row.newName), ['Item 1']);
+
+  await figma.ui.onmessage({ type: 'rename-preview', mode: 'Layer Mode', matchPattern: '', renameTo: '$component', caseStyle: '' });
+  preview = figma.messages.filter(message => message.type === 'rename-preview').pop();
+  assert.match(preview.error, /^Preview failed: .*Component was removed/);
+});
+
+test('refreshes a selection preview on selection change but not a page-wide one', async () => {
+  const figma = setup();
+  const list = figma.buildComponent({ name: 'List', children: [{ type: 'FRAME', name: 'a' }, { type: 'FRAME', name: 'b' }] });
+  const previews = () => figma.messages.filter(message => message.type === 'rename-preview').length;
+
+  await figma.ui.onmessage({ type: 'rename-preview', mode: 'Layer Mode', matchPattern: '', renameTo: 'Item', caseStyle: '', scope: 'selection' });
+  figma.currentPage.selection = [list.children[0]];
+  await figma.emit('selectionchange');
+  assert.equal(previews(), 2);
+
+  await figma.ui.onmessage({ type: 'rename-preview', mode: 'Layer Mode', matchPattern: '', renameTo: 'Item', caseStyle: '', scope: 'page' });
+  figma.currentPage.selection = [list.children[1]];
+  await figma.emit('selectionchange');
+  assert.equal(previews(), 3);
+});
+
+test('leaves rows excluded in the preview untouched', async () => {
+  const figma = setup();
+  const list = figma.buildComponent({ name: 'List', children: [{ type: 'FRAME', name: 'a' }, { type: 'FRAME', name: 'b' }] });
+
+  const names = await rename(figma, list.children, { renameTo: 'Item $n', excludedNodeIds: [list.children[0].id] });
+
+  assert.deepEqual(names, ['a', 'Item 2']);
+});
+
+test('reaches descendants or the whole page, narrowed by type and skipping locked or hidden layers', async () => {
+  const figma = setup();
+  const screen = figma.buildComponent({
+    name: 'Screen',
+    children: [
+      { type: 'FRAME', name: 'Header', children: [{ type: 'TEXT', name: 'Title' }, { type: 'VECTOR', name: 'Logo' }] },
+      { type: 'FRAME', name: 'Hidden', visible: false, children: [{ type: 'TEXT', name: 'Note' }] },
+      { type: 'TEXT', name: 'Locked', locked: true }
+    ]
+  });
+  const other = figma.buildComponent({ name: 'Other', children: [{ type: 'TEXT', name: 'Caption' }] });
+  const layer = (root, ...names) => names.reduce((node, name) => node.children.find(child => child.name === name), root);
+
+  figma.currentPage.selection = [screen];
+  await figma.ui.onmessage({
+    type: 'rename-apply', mode: 'Layer Mode', scope: 'descendants', typeFilters: ['text'], skipHidden: true, skipLocked: true,
+    matchPattern: '', renameTo: 'label', caseStyle: ''
+  });
+  assert.equal(layer(screen, 'Header', 'label').type, 'TEXT');
+  assert.ok(layer(screen, 'Header', 'Logo'));
+  assert.ok(layer(screen, 'Hidden', 'Note'));
+  assert.ok(layer(screen, 'Locked'));
+  assert.ok(layer(other, 'Caption'));
+
+  figma.currentPage.selection = [];
+  await figma.ui.onmessage({
+    type: 'rename-apply', mode: 'Layer Mode', scope: 'page', typeFilters: ['vectors'],
+    matchPattern: '', renameTo: 'icon', caseStyle: ''
+  });
+  assert.ok(layer(screen, 'Header', 'icon'));
+  assert.ok(layer(other, 'Caption'));
+});
+
+const REGULAR = { family: 'Inter', style: 'Regular' };
+const BOLD = { family: 'Inter', style: 'Bold' };
+
+function fontRuns(node) {
+  return JSON.parse(JSON.stringify(node.fontRuns)).map(run => [node.characters.slice(run.start, run.end), run.fontName.style]);
+}
+
+test('replaces only the matched ranges of mixed-font text inside an instance', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({
+    name: 'Card',
+    children: [{ type: 'TEXT', name: 'Price', characters: 'Total: 10 AED', fontName: REGULAR, fontRuns: [{ start: 7, end: 13, fontName: BOLD }] }]
+  });
+  const instance = card.createInstance();
+  const [price] = instance.children;
+  figma.currentPage.selection = [price];
+
+  await figma.ui.onmessage({ type: 'rename-apply', mode: 'Text Mode', matchPattern: 'AED', renameTo: 'USD', caseStyle: '' });
+
+  assert.equal(price.characters, 'Total: 10 USD');
+  assert.deepEqual(fontRuns(price), [['Total: ', 'Regular'], ['10 USD', 'Bold']]);
+});
+
+test('keeps styled ranges through a case change', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({
+    name: 'Card',
+    children: [{ type: 'TEXT', name: 'Label', characters: 'sale now', fontName: REGULAR, fontRuns: [{ start: 0, end: 4, fontName: BOLD }] }]
+  });
+  figma.currentPage.selection = card.children;
+
+  await figma.ui.onmessage({ type: 'rename-apply', mode: 'Text Mode', matchPattern: '', renameTo: '', caseStyle: 'UPPER CASE' });
+
+  assert.deepEqual(fontRuns(card.children[0]), [['SALE', 'Bold'], [' NOW', 'Regular']]);
+});
+
+test('converts case through words split at humps, acronyms and mixed separators', () => {
+  const { convertCase } = loadPlugin(createFakeFigma());
+
+  assert.equal(convertCase('APIKey', 'snake_case'), 'api_key');
+  assert.equal(convertCase('getHTTPResponse2Code', 'kebab-case'), 'get-http-response2-code');
+  assert.equal(convertCase('user_id-and name', 'camelCase'), 'userIdAndName');
+  assert.equal(convertCase('Button primary', 'dot.case'), 'button.primary');
+  assert.equal(convertCase('Icons / Arrow Left', 'path/case'), 'icons/arrow/left');
+  assert.equal(convertCase('élan vital', 'PascalCase'), 'ÉlanVital');
+  assert.equal(convertCase('زر_إرسال', 'kebab-case'), 'زر-إرسال');
+});
+
+test('keeps apostrophes, punctuation and acronyms in prose case styles', () => {
+  const { convertCase } = loadPlugin(createFakeFigma());
+
+  assert.equal(convertCase("don't stop me now", 'Title Case'), "Don't Stop Me Now");
+  assert.equal(convertCase('the lord of the rings', 'Title Case'), 'The Lord of the Rings');
+  assert.equal(convertCase('the lord of the rings', 'Start Case'), 'The Lord Of The Rings');
+  assert.equal(convertCase('hello world. read the API docs', 'Sentence case'), 'Hello world. Read the API docs');
+  assert.equal(convertCase('HELLO WORLD', 'Sentence case'), 'Hello world');
+});
+
+test('applies Sentence case when chosen and keeps the case as typed when none is', async () => {
+  const figma = setup();
+  const card = figma.buildComponent({ name: 'Card', children: [{ type: 'FRAME', name: 'primaryButton' }] });
+
+  assert.deepEqual(await rename(figma, card.children, { renameTo: '$&', caseStyle: 'Sentence case' }), ['Primary button']);
+  assert.deepEqual(await rename(figma, card.children, { renameTo: '$& CTA' }), ['Primary button CTA']);
+});